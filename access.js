@@ -0,0 +1,121 @@
+/**
+ * access.js — who may connect and mine
+ *
+ * Two independent checks, both configured under `auth`:
+ *   IP ranges  `allow` / `deny` lists of CIDR ranges (or single addresses).
+ *              deny wins; an empty allow list admits every address.
+ *   Workers    `mode` decides what mining.authorize (or an SV2 user_identity) needs:
+ *                open     anything goes (the default)
+ *                list     the worker, or its account part before '.', is in
+ *                         `workers` with a matching password ("" = any password)
+ *                address  the account part is a valid CKB address
+ *
+ * Failed authorizations are logged by the caller and counted here; the last
+ * few are kept for the stats page.
+ */
+'use strict';
+
+const crypto = require('crypto');
+const net    = require('net');
+const { parseAddress } = require('./ckb-address.js');
+
+const MODES = ['open', 'list', 'address'];
+const RECENT_FAILURES = 20;
+
+/** '::ffff:1.2.3.4' → '1.2.3.4'; v4 clients show up mapped on dual-stack sockets */
+function plainIp(ip) {
+  return String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+}
+
+/** ['10.0.0.0/8', '2001:db8::/32', '192.168.1.5', …] → net.BlockList */
+function rangeList(ranges, key) {
+  const list = new net.BlockList();
+  for (const entry of ranges || []) {
+    const [addr, bits, extra] = String(entry).trim().split('/');
+    const type = net.isIP(addr) === 6 ? 'ipv6' : net.isIP(addr) === 4 ? 'ipv4' : null;
+    const max  = type === 'ipv6' ? 128 : 32;
+    if (!type || extra !== undefined || (bits !== undefined && !(/^\d+$/.test(bits) && +bits <= max))) {
+      throw new Error(`auth.${key}: "${entry}" is not an IP address or CIDR range`);
+    }
+    if (bits === undefined) list.addAddress(addr, type);
+    else list.addSubnet(addr, +bits, type);
+  }
+  return list;
+}
+
+function sameSecret(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * createAccessControl(config.auth) → { allowIp, checkWorker, recordFailure, maxFailures, stats }
+ * Throws on a bad mode or range so a typo can't silently open the proxy.
+ */
+function createAccessControl(cfg = {}) {
+  const mode = cfg.mode || 'open';
+  if (!MODES.includes(mode)) throw new Error(`auth.mode must be one of ${MODES.join(', ')}, not "${mode}"`);
+
+  const workers = cfg.workers || {};
+  if (mode === 'list' && !Object.keys(workers).length) throw new Error('auth.mode "list" needs at least one entry in auth.workers');
+
+  const allow = rangeList(cfg.allow, 'allow');
+  const deny  = rangeList(cfg.deny, 'deny');
+  const allowAll = !cfg.allow?.length;
+  const maxFailures = cfg.maxFailures ?? 3;   // failed authorizations before a connection is dropped
+
+  const counters = { connectionsDenied: 0, authFailures: 0 };
+  const recent   = [];   // { time, ip, worker, reason }, newest last
+
+  /** allowIp(ip) → true if the address may connect */
+  function allowIp(ip) {
+    const addr = plainIp(ip);
+    const type = net.isIP(addr) === 6 ? 'ipv6' : 'ipv4';
+    const ok   = !deny.check(addr, type) && (allowAll || allow.check(addr, type));
+    if (!ok) counters.connectionsDenied++;
+    return ok;
+  }
+
+  /** checkWorker(worker, password) → null if accepted, otherwise the reason */
+  function checkWorker(worker, password) {
+    if (mode === 'open') return null;
+    if (typeof worker !== 'string' || !worker) return 'no worker name';
+    const account = worker.split('.')[0];
+    if (mode === 'address') {
+      try {
+        parseAddress(account);
+        return null;
+      } catch (e) {
+        return `not a CKB address (${e.message})`;
+      }
+    }
+    // list
+    const key = Object.hasOwn(workers, worker) ? worker : Object.hasOwn(workers, account) ? account : null;
+    if (key === null) return 'unknown worker';
+    const expected = workers[key];
+    if (expected && !sameSecret(password ?? '', expected)) return 'wrong password';
+    return null;
+  }
+
+  function recordFailure(ip, worker, reason) {
+    counters.authFailures++;
+    recent.push({ time: Date.now(), ip: plainIp(ip), worker, reason });
+    if (recent.length > RECENT_FAILURES) recent.shift();
+  }
+
+  function stats() {
+    return {
+      mode,
+      allow         : cfg.allow || [],
+      deny          : cfg.deny || [],
+      maxFailures,
+      ...counters,
+      recentFailures: recent.slice().reverse(),
+    };
+  }
+
+  return { mode, allowIp, checkWorker, recordFailure, maxFailures, stats };
+}
+
+module.exports = { createAccessControl, plainIp, sameSecret };
@@ -0,0 +1,155 @@
+/**
+ * block-tracker.js — audit trail and confirmation tracking for solo blocks
+ *
+ * Every block we submit_block is recorded (height, hash, nonce, worker, the
+ * node's answer) in <dir>/blocks.json. Accepted blocks start as "pending";
+ * the node is polled until each one is `confirmations` deep and then marked
+ *   confirmed — still the main-chain block at its height
+ *   uncle     — lost the race but was included as an uncle by a later block
+ *   orphaned  — neither
+ * Blocks the node refused are kept as "rejected".
+ *
+ * The reward is read from the cellbase that pays it out: CKB pays block h's
+ * miner in the cellbase of block h + REWARD_DELAY.
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { log } = require('./util.js');
+
+const REWARD_DELAY = 11;     // blocks between a block and the cellbase paying for it
+const MAX_BLOCKS   = 1000;   // history kept in blocks.json
+
+const hexNum = n => '0x' + n.toString(16);
+
+function createBlockTracker({ rpc, dir, confirmations = 11, pollSec = 30 }) {
+  const FILE = path.join(dir, 'blocks.json');
+  let blocks = [];        // oldest first
+  let timer  = null;
+  let polling = false;
+  let lastError = null;
+
+  function load() {
+    try {
+      blocks = JSON.parse(fs.readFileSync(FILE, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') log('BLOCK', `Unreadable ${FILE}: ${e.message}`);
+    }
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(FILE + '.tmp', JSON.stringify(blocks, null, 2));
+      fs.renameSync(FILE + '.tmp', FILE);
+    } catch (e) {
+      log('BLOCK', `Could not save ${FILE}: ${e.message}`);
+    }
+  }
+
+  /** Record a submit_block attempt (a solo backend 'candidate' event). */
+  function add({ worker, height, job, nonce, accepted, hash, reason }) {
+    blocks.push({
+      height,
+      hash         : hash || null,
+      nonce,
+      worker,
+      job,
+      submittedAt  : Date.now(),
+      submitResult : accepted ? hash : `error: ${reason}`,
+      status       : accepted ? 'pending' : 'rejected',
+      confirmations: 0,
+      reward       : null,   // CKB, once the paying cellbase exists
+      rewardShannons: null,
+      checkedAt    : null,
+    });
+    if (blocks.length > MAX_BLOCKS) blocks.splice(0, blocks.length - MAX_BLOCKS);
+    save();
+  }
+
+  async function isUncle(b, tip) {
+    for (let h = b.height + 1; h <= Math.min(tip, b.height + confirmations); h++) {
+      const hdr = await rpc('get_header_by_number', [hexNum(h)]);
+      const blk = hdr && await rpc('get_block', [hdr.hash]);
+      if (blk?.uncles?.some(u => u.header?.hash === b.hash)) return true;
+    }
+    return false;
+  }
+
+  async function readReward(b) {
+    const hdr = await rpc('get_header_by_number', [hexNum(b.height + REWARD_DELAY)]);
+    const blk = hdr && await rpc('get_block', [hdr.hash]);
+    if (!blk) return;
+    // A cellbase without outputs (e.g. no reward address set on the node) pays nothing
+    const shannons = BigInt(blk.transactions?.[0]?.outputs?.[0]?.capacity || 0);
+    b.rewardShannons = shannons.toString();
+    b.reward         = Number(shannons) / 1e8;
+    log('BLOCK', `Reward for #${b.height}: ${b.reward} CKB`);
+  }
+
+  async function check(b, tip) {
+    const hdr    = await rpc('get_header_by_number', [hexNum(b.height)]);
+    const onMain = !!hdr && hdr.hash === b.hash;
+    const depth  = tip - b.height;   // blocks built on top
+    b.checkedAt     = Date.now();
+    b.confirmations = onMain ? depth : 0;
+
+    if (b.status === 'pending' && depth >= confirmations) {
+      // Deep enough that the main chain at this height won't change any more
+      if (onMain) b.status = 'confirmed';
+      else b.status = await isUncle(b, tip) ? 'uncle' : 'orphaned';
+      log('BLOCK', `#${b.height} ${b.hash?.slice(0, 18)}… ${b.status} after ${depth} blocks`);
+    }
+    if (b.status === 'confirmed' && b.reward == null && tip >= b.height + REWARD_DELAY) {
+      await readReward(b);
+    }
+  }
+
+  async function poll() {
+    const open = blocks.filter(b => b.status === 'pending' || (b.status === 'confirmed' && b.reward == null));
+    if (!open.length || polling) return;
+    polling = true;
+    try {
+      const tip = parseInt(await rpc('get_tip_block_number', []), 16);
+      for (const b of open) await check(b, tip);
+      lastError = null;
+      save();
+    } catch (e) {
+      if (lastError !== e.message) log('BLOCK', `Confirmation check failed: ${e.message}`);
+      lastError = e.message;
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    load();
+    const open = blocks.filter(b => b.status === 'pending').length;
+    if (blocks.length) log('BLOCK', `${blocks.length} blocks in history, ${open} awaiting confirmation`);
+    timer = setInterval(poll, pollSec * 1000);
+    timer.unref();
+    poll();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function stats() {
+    const byStatus = {};
+    for (const b of blocks) byStatus[b.status] = (byStatus[b.status] || 0) + 1;
+    const reward = blocks.reduce((s, b) => s + (b.status === 'confirmed' && b.reward ? b.reward : 0), 0);
+    return {
+      confirmationsRequired: confirmations,
+      counts     : byStatus,
+      totalReward: reward,
+      blocks     : [...blocks].reverse(),
+    };
+  }
+
+  return { start, stop, add, poll, stats };
+}
+
+module.exports = { createBlockTracker };
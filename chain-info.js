@@ -0,0 +1,178 @@
+/**
+ * chain-info.js — chain and economics snapshot for GET /chain
+ *
+ * Everything the dashboard needs for its probability and earnings maths, read
+ * from the configured node so the page never has to reach anything but the
+ * proxy:
+ *   tip          number, hash, timestamp, compact_target
+ *   epoch        number / index / length of the tip's epoch
+ *   network      difficulty (2^256 / target) and hashrate = difficulty /
+ *                average block time, where an epoch aims for 4 hours over
+ *                `length` blocks
+ *   reward       miner reward of the latest finalized block (tip - 11) from
+ *                get_block_economic_state, or the tip's cellbase if the node
+ *                doesn't answer that
+ *   pool         configured name and fee, for the solo-vs-pool comparison
+ *   price        optional — fetched from `chain.price.url` if configured
+ *
+ * Node reads are cached for `chain.refreshSec`, the price for
+ * `chain.price.refreshSec`; callers during a refresh share it.
+ */
+'use strict';
+
+const { parseEpoch } = require('./ckb-header.js');
+const { compactToTargetLE, hexLEToBigInt } = require('./target.js');
+const { log } = require('./util.js');
+
+const EPOCH_DURATION_SEC = 4 * 60 * 60;   // target length of an epoch
+const REWARD_DELAY       = 11;            // a block's reward is finalized this many blocks later
+const PRICE_TIMEOUT_MS   = 8000;
+
+const hexNum  = n => '0x' + n.toString(16);
+const toCkb   = shannons => Number(shannons) / 1e8;
+
+/** { url, path: 'a.b.c', currency, refreshSec } → settings, or null when no price source is set */
+function priceSettings(cfg) {
+  if (!cfg?.url) return null;
+  if (!/^https?:\/\//.test(cfg.url)) throw new Error(`chain.price.url must be an http(s) URL, not "${cfg.url}"`);
+  return {
+    url       : cfg.url,
+    path      : String(cfg.path || '').split('.').filter(Boolean),
+    currency  : cfg.currency   || 'USD',
+    refreshSec: cfg.refreshSec ?? 300,
+  };
+}
+
+/**
+ * createChainInfo({ rpc, config }) → { get(), settings }
+ * get() → Promise<snapshot>; a node error is reported in `error` with the last
+ * good values kept.
+ */
+function createChainInfo({ rpc, config }) {
+  const cfg = config.chain || {};
+  const settings = {
+    refreshSec: cfg.refreshSec ?? 30,
+    poolName  : cfg.poolName || config.pools?.[0]?.name || config.pool?.name || 'Pool',
+    poolFee   : cfg.poolFee ?? 0.02,
+    price     : priceSettings(cfg.price),
+  };
+  if (!(settings.poolFee >= 0 && settings.poolFee < 1)) throw new Error(`chain.poolFee must be a fraction between 0 and 1, not ${cfg.poolFee}`);
+
+  let node = null;        // last good node snapshot
+  let nodeAt = 0;
+  let nodeError = null;
+  let nodeRefresh = null;
+  let price = null;       // { value, updatedAt }
+  let priceAt = 0;
+  let priceError = null;
+  let priceRefresh = null;
+
+  /** Miner reward (CKB) of the newest finalized block */
+  async function readReward(tip) {
+    const height = tip.number - REWARD_DELAY;
+    if (height > 0) {
+      try {
+        const hdr   = await rpc('get_header_by_number', [hexNum(height)]);
+        const state = hdr && await rpc('get_block_economic_state', [hdr.hash]);
+        if (state?.miner_reward) {
+          const r = state.miner_reward;
+          const parts = {
+            primary  : BigInt(r.primary),
+            secondary: BigInt(r.secondary),
+            committed: BigInt(r.committed),
+            proposal : BigInt(r.proposal),
+          };
+          const total = parts.primary + parts.secondary + parts.committed + parts.proposal;
+          return {
+            height,
+            source   : 'get_block_economic_state',
+            ckb      : toCkb(total),
+            primary  : toCkb(parts.primary),
+            secondary: toCkb(parts.secondary),
+            fees     : toCkb(parts.committed + parts.proposal),
+          };
+        }
+      } catch { /* older node, or pruned state — fall back to the cellbase */ }
+    }
+    // The tip's cellbase pays the block REWARD_DELAY below it
+    const blk = await rpc('get_block', [tip.hash]);
+    const outputs = blk?.transactions?.[0]?.outputs || [];
+    const total = outputs.reduce((s, o) => s + BigInt(o.capacity), 0n);
+    return { height: Math.max(0, height), source: 'cellbase', ckb: toCkb(total) };
+  }
+
+  async function refreshNode() {
+    const hdr    = await rpc('get_tip_header', []);
+    const number = parseInt(hdr.number, 16);
+    const epoch  = parseEpoch(hdr.epoch);
+    const target = hexLEToBigInt(compactToTargetLE(parseInt(hdr.compact_target, 16)));
+    const difficulty   = target > 0n ? Number(((1n << 256n) - 1n) / target) : null;
+    const blockTimeSec = epoch.length ? EPOCH_DURATION_SEC / epoch.length : null;
+    const tip = {
+      number,
+      hash         : hdr.hash,
+      timestamp    : parseInt(hdr.timestamp, 16),
+      compactTarget: hdr.compact_target,
+    };
+    node = {
+      tip,
+      epoch,
+      network: {
+        difficulty,
+        avgBlockTimeSec: blockTimeSec,
+        hashrate       : difficulty && blockTimeSec ? difficulty / blockTimeSec : null,
+      },
+      reward: await readReward(tip),
+    };
+    nodeAt    = Date.now();
+    nodeError = null;
+  }
+
+  async function refreshPrice() {
+    const p   = settings.price;
+    const res = await fetch(p.url, { signal: AbortSignal.timeout(PRICE_TIMEOUT_MS), headers: { accept: 'application/json' } });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const value = Number(p.path.reduce((v, k) => v?.[k], await res.json()));
+    if (!(value > 0)) throw new Error(`no positive number at "${p.path.join('.')}"`);
+    price      = { value, updatedAt: Date.now() };
+    priceAt    = price.updatedAt;
+    priceError = null;
+  }
+
+  /** The snapshot, refreshing whatever is older than its refreshSec first */
+  async function get() {
+    const now = Date.now();
+    if (!nodeRefresh && now - nodeAt >= settings.refreshSec * 1000) {
+      nodeRefresh = refreshNode()
+        .catch(e => {
+          if (e.message !== nodeError) log('CHAIN', `Node read failed: ${e.message}`);
+          nodeError = e.message;
+        })
+        .finally(() => { nodeRefresh = null; });
+    }
+    const p = settings.price;
+    if (p && !priceRefresh && now - priceAt >= p.refreshSec * 1000) {
+      priceRefresh = refreshPrice()
+        .catch(e => {
+          if (e.message !== priceError) log('CHAIN', `Price from ${p.url} failed: ${e.message}`);
+          priceError = e.message;
+          priceAt    = Date.now();   // a failing source is retried after refreshSec, not on every call
+        })
+        .finally(() => { priceRefresh = null; });
+    }
+    await Promise.all([nodeRefresh, priceRefresh]);
+
+    return {
+      ...(node || { tip: null, epoch: null, network: null, reward: null }),
+      pool     : { name: settings.poolName, fee: settings.poolFee },
+      price    : p ? { value: price?.value ?? null, currency: p.currency, source: new URL(p.url).host,
+                       updatedAt: price?.updatedAt ?? null, error: priceError } : null,
+      updatedAt: nodeAt || null,
+      error    : nodeError,
+    };
+  }
+
+  return { get, settings };
+}
+
+module.exports = { createChainInfo };
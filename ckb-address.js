@@ -0,0 +1,261 @@
+/**
+ * ckb-address.js — encode / decode CKB addresses (ckb1… / ckt1…)
+ *
+ * A CKB address is bech32 or bech32m (BIP-350) over a payload whose first
+ * byte is the format:
+ *   0x00  full (2021)     bech32m  code_hash[32] hash_type[1] args
+ *   0x01  short           bech32   code_hash_index[1] args[20]     (deprecated)
+ *   0x02  full data       bech32   code_hash[32] args              (deprecated)
+ *   0x04  full type       bech32   code_hash[32] args              (deprecated)
+ * The human-readable prefix is the network: ckb = mainnet, ckt = testnet.
+ * Unlike Bitcoin, the 90-character length limit does not apply.
+ *
+ * Run directly to inspect an address:  node ckb-address.js ckb1…
+ *
+ * References:
+ *   https://github.com/nervosnetwork/rfcs/blob/master/rfcs/0021-ckb-address-format/0021-ckb-address-format.md
+ */
+'use strict';
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST  = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+const NETWORKS = { ckb: 'mainnet', ckt: 'testnet' };
+const PREFIXES = { mainnet: 'ckb', testnet: 'ckt' };
+
+const FORMAT_FULL      = 0x00;
+const FORMAT_SHORT     = 0x01;
+const FORMAT_FULL_DATA = 0x02;
+const FORMAT_FULL_TYPE = 0x04;
+
+const HASH_TYPES     = { 0: 'data', 1: 'type', 2: 'data1', 4: 'data2' };
+const HASH_TYPE_CODES = { data: 0, type: 1, data1: 2, data2: 4 };
+
+// Lock scripts a short address can refer to, by code_hash_index (all hash_type "type")
+const SHORT_CODE_HASHES = {
+  0x00: { name: 'secp256k1_blake160', mainnet: '0x9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8',
+          testnet: '0x9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8' },
+  0x01: { name: 'secp256k1_multisig', mainnet: '0x5c5069eb0857efc65e1bca0c07df34c31663b3622fd3876c876320fc9634e2a8',
+          testnet: '0x5c5069eb0857efc65e1bca0c07df34c31663b3622fd3876c876320fc9634e2a8' },
+  0x02: { name: 'anyone_can_pay',     mainnet: '0xd369597ff47f29fbc0d47d2e3775370d1250b85140c670e4718af712983a2354',
+          testnet: '0x3419a1c09eb2567f6552ee7a8ecffd64155cffe0f1796e6e61ec088d740c1356' },
+};
+
+// ── Bech32 / bech32m ──────────────────────────────────────────────────────────
+function polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) if ((top >>> i) & 1) chk ^= GEN[i];
+  }
+  return chk >>> 0;
+}
+
+function hrpExpand(hrp) {
+  const out = [];
+  for (const c of hrp) out.push(c.charCodeAt(0) >> 5);
+  out.push(0);
+  for (const c of hrp) out.push(c.charCodeAt(0) & 31);
+  return out;
+}
+
+/** Regroup bits (8 → 5 or 5 → 8); returns null on invalid padding */
+function convertBits(data, from, to, pad) {
+  let acc = 0, bits = 0;
+  const out = [];
+  const maxv = (1 << to) - 1;
+  for (const v of data) {
+    acc = (acc << from) | v;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      out.push((acc >> bits) & maxv);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (pad) {
+    if (bits) out.push((acc << (to - bits)) & maxv);
+  } else if (bits >= from || acc) {
+    return null;
+  }
+  return out;
+}
+
+function bech32Encode(hrp, words, variant) {
+  const mod = polymod([...hrpExpand(hrp), ...words, 0, 0, 0, 0, 0, 0]) ^ (variant === 'bech32m' ? BECH32M_CONST : BECH32_CONST);
+  let out = hrp + '1';
+  for (const v of words) out += CHARSET[v];
+  for (let i = 0; i < 6; i++) out += CHARSET[(mod >>> (5 * (5 - i))) & 31];
+  return out;
+}
+
+/** bech32 string → { hrp, words, variant: 'bech32'|'bech32m' } */
+function bech32Decode(str) {
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) throw new Error('mixed-case address');
+  str = str.toLowerCase();
+  const sep = str.lastIndexOf('1');
+  if (sep < 1 || sep + 7 > str.length) throw new Error('missing bech32 separator or checksum');
+  const hrp = str.slice(0, sep);
+  const data = [];
+  for (const c of str.slice(sep + 1)) {
+    const v = CHARSET.indexOf(c);
+    if (v < 0) throw new Error(`invalid character "${c}"`);
+    data.push(v);
+  }
+  const check = polymod([...hrpExpand(hrp), ...data]);
+  const variant = check === BECH32_CONST ? 'bech32' : check === BECH32M_CONST ? 'bech32m' : null;
+  if (!variant) throw new Error('bad checksum');
+  return { hrp, words: data.slice(0, -6), variant };
+}
+
+// ── Address decoding ──────────────────────────────────────────────────────────
+/**
+ * parseAddress(address) → { network, prefix, format, script }
+ * script is a JSON-RPC style lock { code_hash, hash_type, args }.
+ * Throws with a readable reason on anything that isn't a valid CKB address.
+ */
+function parseAddress(address) {
+  const { hrp, words, variant } = bech32Decode(String(address || '').trim());
+  const network = NETWORKS[hrp];
+  if (!network) throw new Error(`unknown prefix "${hrp}" (expected ckb or ckt)`);
+  const bytes = convertBits(words, 5, 8, false);
+  if (!bytes || !bytes.length) throw new Error('invalid payload');
+  const payload = Buffer.from(bytes);
+  const format  = payload[0];
+  const hex = b => '0x' + b.toString('hex');
+
+  if (format === FORMAT_FULL) {
+    if (variant !== 'bech32m') throw new Error('full format address must use bech32m');
+    if (payload.length < 34) throw new Error('full format payload too short');
+    const hashType = HASH_TYPES[payload[33]];
+    if (!hashType) throw new Error(`unknown hash_type ${payload[33]}`);
+    return { network, prefix: hrp, format: 'full', script: { code_hash: hex(payload.subarray(1, 33)), hash_type: hashType, args: hex(payload.subarray(34)) } };
+  }
+  if (variant !== 'bech32') throw new Error('deprecated address formats must use bech32');
+  if (format === FORMAT_SHORT) {
+    const known = SHORT_CODE_HASHES[payload[1]];
+    if (!known) throw new Error(`unknown short address code_hash_index ${payload[1]}`);
+    if (payload.length !== 22) throw new Error('short address args must be 20 bytes');
+    return { network, prefix: hrp, format: 'short', script: { code_hash: known[network], hash_type: 'type', args: hex(payload.subarray(2)) } };
+  }
+  if (format === FORMAT_FULL_DATA || format === FORMAT_FULL_TYPE) {
+    if (payload.length < 33) throw new Error('full format payload too short');
+    return {
+      network,
+      prefix: hrp,
+      format: format === FORMAT_FULL_DATA ? 'full-data' : 'full-type',
+      script: { code_hash: hex(payload.subarray(1, 33)), hash_type: format === FORMAT_FULL_DATA ? 'data' : 'type', args: hex(payload.subarray(33)) },
+    };
+  }
+  throw new Error(`unknown address format 0x${format.toString(16).padStart(2, '0')}`);
+}
+
+/** Lock script of a CKB address (see parseAddress). */
+function addressToScript(address) {
+  return parseAddress(address).script;
+}
+
+// ── Address encoding ──────────────────────────────────────────────────────────
+/**
+ * encodeAddress(script, { network = 'mainnet', format = 'full' }) → address
+ * format: 'full' (the current standard), or the deprecated 'short',
+ * 'full-data' and 'full-type', which only fit some scripts.
+ */
+function encodeAddress(script, { network = 'mainnet', format = 'full' } = {}) {
+  const prefix = PREFIXES[network] || (NETWORKS[network] && network);
+  if (!prefix) throw new Error(`unknown network "${network}"`);
+  const codeHash = Buffer.from(String(script.code_hash).replace(/^0x/, ''), 'hex');
+  const args     = Buffer.from(String(script.args || '').replace(/^0x/, ''), 'hex');
+  if (codeHash.length !== 32) throw new Error('code_hash must be 32 bytes');
+
+  let payload;
+  let variant = 'bech32';
+  if (format === 'full') {
+    if (!(script.hash_type in HASH_TYPE_CODES)) throw new Error(`unknown hash_type "${script.hash_type}"`);
+    payload = Buffer.concat([Buffer.from([FORMAT_FULL]), codeHash, Buffer.from([HASH_TYPE_CODES[script.hash_type]]), args]);
+    variant = 'bech32m';
+  } else if (format === 'short') {
+    const net   = NETWORKS[prefix];
+    const index = Object.keys(SHORT_CODE_HASHES).find(i => SHORT_CODE_HASHES[i][net] === script.code_hash.toLowerCase());
+    if (index == null || script.hash_type !== 'type') throw new Error('script has no short address form');
+    if (args.length !== 20) throw new Error('short address args must be 20 bytes');
+    payload = Buffer.concat([Buffer.from([FORMAT_SHORT, Number(index)]), args]);
+  } else if (format === 'full-data' || format === 'full-type') {
+    if (script.hash_type !== format.slice(5)) throw new Error(`${format} address needs hash_type ${format.slice(5)}`);
+    payload = Buffer.concat([Buffer.from([format === 'full-data' ? FORMAT_FULL_DATA : FORMAT_FULL_TYPE]), codeHash, args]);
+  } else {
+    throw new Error(`unknown address format "${format}"`);
+  }
+  return bech32Encode(prefix, convertBits(payload, 8, 5, true), variant);
+}
+
+/**
+ * Address prefix expected for a node's chain, from get_blockchain_info's
+ * `chain` ("ckb" = mainnet; "ckb_testnet" and dev chains use ckt).
+ */
+function prefixForChain(chain) {
+  return chain === 'ckb' ? 'ckb' : 'ckt';
+}
+
+/** Short description of a lock script for logs */
+function describeScript(s) {
+  const known = s.hash_type === 'type' && Object.values(SHORT_CODE_HASHES).find(k => k.mainnet === s.code_hash || k.testnet === s.code_hash);
+  return `code_hash=${s.code_hash}${known ? ` (${known.name})` : ''} hash_type=${s.hash_type} args=${s.args}`;
+}
+
+// ── Self-test ─────────────────────────────────────────────────────────────────
+/** Known addresses (generated with @ckb-lumos/helpers) decode and re-encode exactly */
+function selftest() {
+  const sighash = { code_hash: SHORT_CODE_HASHES[0].mainnet, hash_type: 'type', args: '0xb39bbc0b3673c7d36450bc14cfcdad2d559c6c64' };
+  const other   = { code_hash: '0x' + '11'.repeat(32), args: '0x0102' };
+  const vectors = [
+    ['ckb1qzda0cr08m85hc8jlnfp3zer7xulejywt49kt2rr0vthywaa50xwsqdnnw7qkdnnclfkg59uzn8umtfd2kwxceqxwquc4', 'mainnet', 'full', sighash],
+    ['ckt1qzda0cr08m85hc8jlnfp3zer7xulejywt49kt2rr0vthywaa50xwsqdnnw7qkdnnclfkg59uzn8umtfd2kwxceqgutnjd', 'testnet', 'full', sighash],
+    ['ckb1qyqt8xaupvm8837nv3gtc9x0ekkj64vud3jqfwyw5v', 'mainnet', 'short', sighash],
+    ['ckt1qyq5lv479ewscx3ms620sv34pgeuz6zagaaqt6f5y5', 'testnet', 'short',
+      { code_hash: SHORT_CODE_HASHES[1].testnet, hash_type: 'type', args: '0x4fb2be2e5d0c1a3b8694f832350a33c1685d477a' }],
+    ['ckb1qgg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zqgz304m90', 'mainnet', 'full-data', { ...other, hash_type: 'data' }],
+    ['ckt1qsg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zqgzkyqfd8', 'testnet', 'full-type', { ...other, hash_type: 'type' }],
+    ['ckb1qqg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zpqke85mu', 'mainnet', 'full', { ...other, hash_type: 'data2', args: '0x' }],
+  ];
+  for (const [address, network, format, script] of vectors) {
+    const got  = parseAddress(address);
+    const same = ['code_hash', 'hash_type', 'args'].every(k => got.script[k] === script[k]);
+    if (got.network !== network || got.format !== format || !same) {
+      throw new Error(`ckb-address self-test FAILED (decode ${address})\n  got: ${JSON.stringify(got)}`);
+    }
+    const again = encodeAddress(script, { network, format });
+    if (again !== address) throw new Error(`ckb-address self-test FAILED (encode ${format})\n  got: ${again}\n  exp: ${address}`);
+  }
+  // A single flipped character must fail the checksum
+  let rejected = false;
+  try { parseAddress(vectors[2][0].replace(/5v$/, '5w')); } catch { rejected = true; }
+  if (!rejected) throw new Error('ckb-address self-test FAILED (bad checksum accepted)');
+  return true;
+}
+
+module.exports = { parseAddress, addressToScript, encodeAddress, prefixForChain, describeScript, selftest };
+
+// ── CLI ───────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+  const address = process.argv[2];
+  if (!address) {
+    console.error('usage: node ckb-address.js <ckb1…|ckt1…>');
+    process.exit(1);
+  }
+  try {
+    const { network, format, script } = parseAddress(address);
+    console.log(`network  : ${network}`);
+    console.log(`format   : ${format}${format === 'full' ? '' : ' (deprecated)'}`);
+    console.log(`code_hash: ${script.code_hash}`);
+    console.log(`hash_type: ${script.hash_type}`);
+    console.log(`args     : ${script.args}`);
+    console.log(`full     : ${encodeAddress(script, { network })}`);
+  } catch (e) {
+    console.error(`Invalid address: ${e.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * event-stream.js — live events for the dashboard over Server-Sent Events
+ *
+ * The daemon publish()es what happens as it happens (new jobs, share results,
+ * vardiff changes, miners coming and going, upstream / node state, block
+ * submissions). GET /events streams them as `text/event-stream`; each event
+ * carries an increasing id, so a browser that reconnects with Last-Event-ID
+ * (or a client passing ?since=) gets what it missed from the last
+ * `historySize` events. recent(since) serves the same events as JSON for
+ * clients that poll instead.
+ *
+ * At most `maxClients` streams are open at once. A client that stops reading
+ * is dropped rather than buffered for without bound: once write() returns
+ * false it has `heartbeatSec` to drain, and past `maxBufferedBytes` it goes
+ * at once. It reconnects with Last-Event-ID and catches up. `headers` are
+ * added to every stream response (e.g. CORS).
+ *
+ * Event: { id, time, type, ...data }
+ */
+'use strict';
+
+function createEventStream({ historySize = 500, heartbeatSec = 15, maxClients = 50, maxBufferedBytes = 1 << 20, headers = {} } = {}) {
+  const history = [];       // newest last
+  const clients = new Set();
+  const pending = new Set();  // connected, still catching up
+  let lastId    = 0;
+  let published = 0;
+
+  /** Ids come in as strings from headers and query strings */
+  const sinceId = v => (/^\d+$/.test(String(v ?? '')) ? +v : null);
+
+  const frame = e => `id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`;
+
+  function drop(client) {
+    clearInterval(client.heartbeat);
+    clearTimeout(client.stalled);
+    clients.delete(client);
+    client.res.destroy();
+  }
+
+  /** Write to a live client, dropping it if it isn't keeping up */
+  function send(client, chunk) {
+    const { res } = client;
+    if (res.destroyed) return;
+    const ok = res.write(chunk);
+    if (res.writableLength > maxBufferedBytes) return drop(client);
+    if (ok || client.stalled) return;
+    client.stalled = setTimeout(() => drop(client), heartbeatSec * 1000);
+    client.stalled.unref();
+    res.once('drain', () => {
+      clearTimeout(client.stalled);
+      client.stalled = null;
+    });
+  }
+
+  function publish(type, data = {}) {
+    const event = { id: ++lastId, time: Date.now(), type, ...data };
+    published++;
+    history.push(event);
+    if (history.length > historySize) history.shift();
+    for (const c of clients) {
+      if (!c.types || c.types.has(type)) {
+        send(c, frame(event));
+        c.lastId = event.id;
+      }
+    }
+    return event;
+  }
+
+  /** Events after `since` (all kept ones if null), optionally only some types */
+  function recent(since = null, types = null) {
+    return history.filter(e => (since == null || e.id > since) && (!types || types.has(e.type)));
+  }
+
+  /**
+   * Serve GET /events on an http response. ?types=share,job limits the stream
+   * to those event types.
+   */
+  function handle(req, res, url) {
+    const typesParam = url.searchParams.get('types');
+    const types = typesParam ? new Set(typesParam.split(',').map(t => t.trim()).filter(Boolean)) : null;
+    const since = sinceId(req.headers['last-event-id']) ?? sinceId(url.searchParams.get('since'));
+
+    if (clients.size + pending.size >= maxClients) {
+      res.writeHead(503, { 'Content-Type': 'text/plain', 'Retry-After': '30' });
+      res.end('too many event streams\n');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type' : 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection'   : 'keep-alive',
+      ...headers,
+    });
+    res.write(`retry: 3000\n\n`);
+
+    // A fresh client gets nothing old; a reconnecting one gets what it missed.
+    // A long catch-up can fill the socket buffer, so the client only goes live
+    // once it has drained, replaying anything published in the meantime.
+    const client = { res, types, since: Date.now(), lastId: since ?? lastId, heartbeat: null, stalled: null };
+    pending.add(client);
+    const catchUp = () => {
+      if (res.destroyed) return;
+      const missed = recent(client.lastId, types);
+      if (missed.length) client.lastId = missed[missed.length - 1].id;
+      if (missed.length && !res.write(missed.map(frame).join(''))) return void res.once('drain', catchUp);
+      pending.delete(client);
+      clients.add(client);
+      client.heartbeat = setInterval(() => send(client, ': ping\n\n'), heartbeatSec * 1000);
+      client.heartbeat.unref();
+    };
+    catchUp();
+    req.on('close', () => {
+      pending.delete(client);
+      clearInterval(client.heartbeat);
+      clearTimeout(client.stalled);
+      clients.delete(client);
+    });
+  }
+
+  function stats() {
+    return { clients: clients.size, published, lastId, kept: history.length };
+  }
+
+  return { publish, recent, handle, stats, sinceId };
+}
+
+module.exports = { createEventStream };
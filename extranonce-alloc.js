@@ -0,0 +1,116 @@
+/**
+ * extranonce-alloc.js — non-overlapping extranonce1 suffixes for pool mode
+ *
+ * The pool gives the proxy one extranonce1 and `extranonce2Size` bytes to
+ * roll. Each miner gets the pool's extranonce1 plus a suffix of its own taken
+ * from the front of those bytes, and rolls the rest:
+ *   pool extranonce1 || miner suffix (width bytes) || miner extranonce2
+ *
+ * The suffix width follows the pool's extranonce2Size: 2 bytes (65 536
+ * miners) when the pool leaves 4 or more, 1 byte (256) for 2–3, and none —
+ * a single miner — below that. Suffixes are tracked as used / free; a freed
+ * one is held back for `resumeSec` so a miner reconnecting with its old
+ * session id gets it again. When every suffix is in use allocate() returns
+ * null and the caller turns the miner away.
+ */
+'use strict';
+
+const DEFAULT_WIDTH = 2;   // until the pool's extranonce2Size is known
+
+/** Suffix bytes to split off a pool extranonce2 of `size` bytes */
+function prefixWidth(size) {
+  if (size >= 4) return 2;
+  if (size >= 2) return 1;
+  return 0;
+}
+
+function createExtranonceAllocator({ resumeSec = 300 } = {}) {
+  let width    = DEFAULT_WIDTH;
+  let capacity = 2 ** (8 * width);
+  let cursor   = 0;
+  const owners   = new Map();   // suffix → miner id
+  const byMiner  = new Map();   // miner id → suffix
+  const released = new Map();   // suffix → time it was freed, held for resume
+
+  const hex = n => width ? n.toString(16).padStart(width * 2, '0') : '';
+
+  /** New width after the pool's extranonce2Size changed; everyone gets a fresh suffix. */
+  function resize(extranonce2Size) {
+    const w = prefixWidth(extranonce2Size);
+    if (w === width) return false;
+    width    = w;
+    capacity = 2 ** (8 * w);
+    cursor   = 0;
+    owners.clear();
+    byMiner.clear();
+    released.clear();
+    return true;
+  }
+
+  function take(minerId, n) {
+    owners.set(n, minerId);
+    byMiner.set(minerId, n);
+    released.delete(n);
+    return hex(n);
+  }
+
+  /**
+   * allocate(minerId, requested) → suffix hex, or null if none is free.
+   * A miner keeps the suffix it has; `requested` (a suffix hex from its
+   * session id) is honoured if nobody else holds it.
+   */
+  function allocate(minerId, requested) {
+    if (byMiner.has(minerId)) return hex(byMiner.get(minerId));
+
+    if (width && typeof requested === 'string' && new RegExp(`^[0-9a-f]{${width * 2}}$`, 'i').test(requested)) {
+      const n = parseInt(requested, 16);
+      if (!owners.has(n)) return take(minerId, n);
+    }
+    if (owners.size >= capacity) return null;
+
+    // Next suffix nobody holds, skipping ones still held for a resume;
+    // if only those are left, reuse the one freed longest ago
+    const now = Date.now();
+    let oldest = null;
+    for (let i = 0; i < capacity; i++) {
+      const n = (cursor + i) % capacity;
+      if (owners.has(n)) continue;
+      const freedAt = released.get(n);
+      if (freedAt !== undefined && now - freedAt < resumeSec * 1000) {
+        if (oldest === null || freedAt < released.get(oldest)) oldest = n;
+        continue;
+      }
+      cursor = (n + 1) % capacity;
+      return take(minerId, n);
+    }
+    return take(minerId, oldest);
+  }
+
+  /** Suffix hex held by a miner, or null */
+  function suffixOf(minerId) {
+    return byMiner.has(minerId) ? hex(byMiner.get(minerId)) : null;
+  }
+
+  function release(minerId) {
+    if (!byMiner.has(minerId)) return;
+    const n = byMiner.get(minerId);
+    byMiner.delete(minerId);
+    owners.delete(n);
+    released.set(n, Date.now());
+    if (released.size > capacity / 2) {
+      const cutoff = Date.now() - resumeSec * 1000;
+      for (const [k, t] of released) if (t < cutoff) released.delete(k);
+    }
+  }
+
+  function stats() {
+    const cutoff = Date.now() - resumeSec * 1000;
+    let held = 0;
+    for (const t of released.values()) if (t >= cutoff) held++;
+    return { width, capacity, used: owners.size, heldForResume: held };
+  }
+
+  return { width: () => width, resize, allocate, suffixOf, release, stats };
+}
+
+module.exports = { createExtranonceAllocator, prefixWidth };
@@ -0,0 +1,62 @@
+/**
+ * hashrate.js — sliding-window hashrate from accepted shares
+ *
+ * Each valid share is recorded with the difficulty it was mined at, so a
+ * vardiff change only affects shares after it. Shares are summed into 30 s
+ * buckets kept for the longest window (24 h); a window's hashrate is
+ *   Σ diff × 2^32 / window seconds
+ * where diff=1 is 2^32 hashes per share (standard CKB stratum formula).
+ * Until the meter is as old as the window, its age is used instead, so a
+ * fresh miner isn't under-reported.
+ */
+'use strict';
+
+const BUCKET_MS = 30 * 1000;
+const HASHES_PER_DIFF1 = Math.pow(2, 32);
+
+const WINDOWS = {
+  '5m' : 5 * 60,
+  '1h' : 60 * 60,
+  '24h': 24 * 60 * 60,
+};
+const MAX_WINDOW_MS = Math.max(...Object.values(WINDOWS)) * 1000;
+
+function createHashrateMeter(now = Date.now()) {
+  const startedAt = now;
+  const buckets   = [];   // [bucketStartMs, diffSum], oldest first
+
+  function prune(now) {
+    while (buckets.length && buckets[0][0] <= now - MAX_WINDOW_MS - BUCKET_MS) buckets.shift();
+  }
+
+  /** Record one valid share mined at difficulty `diff`. */
+  function record(diff, now = Date.now()) {
+    if (!(diff > 0)) return;
+    const start = now - (now % BUCKET_MS);
+    const last  = buckets[buckets.length - 1];
+    if (last && last[0] === start) last[1] += diff;
+    else buckets.push([start, diff]);
+    prune(now);
+  }
+
+  /** Hashrate in H/s over the last `windowSec` seconds. */
+  function rate(windowSec, now = Date.now()) {
+    // Whole buckets only: the window ends now and starts on a bucket boundary
+    const from = now - (now % BUCKET_MS) - windowSec * 1000 + BUCKET_MS;
+    let sum = 0;
+    for (let i = buckets.length - 1; i >= 0 && buckets[i][0] >= from; i--) sum += buckets[i][1];
+    const spanSec = Math.max(1, (now - Math.max(from, startedAt)) / 1000);
+    return sum * HASHES_PER_DIFF1 / spanSec;
+  }
+
+  /** { '5m': H/s, '1h': H/s, '24h': H/s } */
+  function rates(now = Date.now()) {
+    const out = {};
+    for (const [name, sec] of Object.entries(WINDOWS)) out[name] = Math.round(rate(sec, now));
+    return out;
+  }
+
+  return { record, rate, rates };
+}
+
+module.exports = { createHashrateMeter, WINDOWS };
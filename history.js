@@ -0,0 +1,255 @@
+/**
+ * history.js — downsampled time series for GET /history and the dashboard charts
+ *
+ * Shares are summed per minute, in total and per worker. At each minute
+ * boundary the minute becomes one point in the 1-minute ring buffer; every 15
+ * minutes the last 15 are rolled up into the 15-minute buffer:
+ *   1m   one point per minute,      kept for 24 hours
+ *   15m  one point per 15 minutes,  kept for 30 days
+ *
+ * Point: [t, hashrate, accepted, rejected, difficulty, networkDifficulty]
+ *   t                  start of the interval (ms)
+ *   hashrate           Σ accepted diff × 2^32 / interval seconds (as hashrate.js)
+ *   accepted/rejected  share counts in the interval
+ *   difficulty         miner difficulty at the end of it (mean over the worker's
+ *                      connections; over all miners for the total)
+ *   networkDifficulty  2^256 / the chain's target, from chain-info.js
+ *
+ * Buffers live in memory and are written to <dir>/history.json on shutdown
+ * (and after each 15-minute roll-up, so a crash loses little); they are
+ * loaded again at startup. Beyond `maxWorkers` series, new workers only count
+ * towards the total.
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { log } = require('./util.js');
+
+const HASHES_PER_DIFF1 = Math.pow(2, 32);
+const TOTAL = '';   // series key of the all-workers total
+
+const RESOLUTIONS = {
+  '1m' : { stepSec: 60,      keepSec: 24 * 3600 },
+  '15m': { stepSec: 15 * 60, keepSec: 30 * 86400 },
+};
+
+/** '90m' / '6h' / '7d' → seconds, or null */
+function parseRange(range) {
+  const m = /^(\d+)([mhd])$/.exec(String(range || ''));
+  if (!m || +m[1] === 0) return null;
+  return +m[1] * { m: 60, h: 3600, d: 86400 }[m[2]];
+}
+
+/** The finest resolution that still covers `rangeSec` */
+function resolutionFor(rangeSec) {
+  return Object.keys(RESOLUTIONS).find(r => RESOLUTIONS[r].keepSec >= rangeSec) || '15m';
+}
+
+/**
+ * createHistory({ dir, maxWorkers }) → { recordShare, start, stop, query, workers, save, stats }
+ * start(sample) begins closing minutes; sample() → Promise<{ difficulty: { [worker]: diff },
+ * totalDifficulty, networkDifficulty }> is asked for the end-of-minute values.
+ */
+function createHistory({ dir, maxWorkers = 100 } = {}) {
+  const FILE = dir ? path.join(dir, 'history.json') : null;
+  const series = { '1m': new Map(), '15m': new Map() };   // resolution → key → points, oldest first
+  let current  = new Map();   // key → { diffSum, accepted, rejected } for the open minute
+  const known  = new Set();   // workers with a series of their own
+  let timer    = null;
+  let sampleFn = async () => ({});
+  let lastRollup = 0;
+
+  function bucket(key) {
+    let b = current.get(key);
+    if (!b) current.set(key, b = { diffSum: 0, accepted: 0, rejected: 0 });
+    return b;
+  }
+
+  /** A worker gets its own series while there is room for one */
+  function tracked(worker) {
+    if (known.has(worker)) return true;
+    if (known.size >= maxWorkers) return false;
+    known.add(worker);
+    return true;
+  }
+
+  /** Count a share result; accepted shares add their difficulty to the hashrate */
+  function recordShare(worker, accepted, diff) {
+    const keys = tracked(worker) ? [TOTAL, worker] : [TOTAL];
+    for (const key of keys) {
+      const b = bucket(key);
+      if (accepted) {
+        b.accepted++;
+        if (diff > 0) b.diffSum += diff;
+      } else {
+        b.rejected++;
+      }
+    }
+  }
+
+  function push(resolution, key, point) {
+    const { keepSec } = RESOLUTIONS[resolution];
+    let points = series[resolution].get(key);
+    if (!points) series[resolution].set(key, points = []);
+    points.push(point);
+    const cutoff = point[0] - keepSec * 1000;
+    while (points.length && points[0][0] < cutoff) points.shift();
+  }
+
+  /** Drop series that have aged out completely */
+  function prune(now) {
+    for (const [resolution, { keepSec }] of Object.entries(RESOLUTIONS)) {
+      for (const [key, points] of series[resolution]) {
+        if (key !== TOTAL && (!points.length || points[points.length - 1][0] < now - keepSec * 1000)) {
+          series[resolution].delete(key);
+        }
+      }
+    }
+    known.clear();
+    for (const key of [...series['1m'].keys(), ...series['15m'].keys(), ...current.keys()]) {
+      if (key !== TOTAL) known.add(key);
+    }
+  }
+
+  /** Close the minute ending at `end` (ms, on a minute boundary) */
+  async function closeMinute(end) {
+    const closed = current;
+    current = new Map();
+    let sample = {};
+    try {
+      sample = await sampleFn();
+    } catch (e) {
+      log('HIST', `Sample failed: ${e.message}`);
+    }
+    const diffs = sample.difficulty || {};
+    const net   = sample.networkDifficulty ?? null;
+    const step  = RESOLUTIONS['1m'].stepSec;
+    const start = end - step * 1000;
+
+    // Every worker that submitted or is connected gets a point; the total always does
+    const keys = new Set([TOTAL, ...closed.keys(), ...Object.keys(diffs).filter(tracked)]);
+    for (const key of keys) {
+      const b = closed.get(key) || { diffSum: 0, accepted: 0, rejected: 0 };
+      const d = key === TOTAL ? sample.totalDifficulty ?? null : diffs[key] ?? null;
+      push('1m', key, [start, Math.round(b.diffSum * HASHES_PER_DIFF1 / step), b.accepted, b.rejected, d, net]);
+    }
+
+    const rollupMs = RESOLUTIONS['15m'].stepSec * 1000;
+    if (end % rollupMs === 0 && end !== lastRollup) {
+      lastRollup = end;
+      rollup(end - rollupMs, end);
+      prune(end);
+      save();
+    }
+  }
+
+  /** 1-minute points in [from, to) → one 15-minute point per series */
+  function rollup(from, to) {
+    const minutes = RESOLUTIONS['15m'].stepSec / RESOLUTIONS['1m'].stepSec;
+    for (const [key, points] of series['1m']) {
+      const inRange = points.filter(p => p[0] >= from && p[0] < to);
+      if (!inRange.length) continue;
+      const last = field => {
+        for (let i = inRange.length - 1; i >= 0; i--) if (inRange[i][field] != null) return inRange[i][field];
+        return null;
+      };
+      push('15m', key, [
+        from,
+        Math.round(inRange.reduce((s, p) => s + p[1], 0) / minutes),   // minutes without a point mined nothing
+        inRange.reduce((s, p) => s + p[2], 0),
+        inRange.reduce((s, p) => s + p[3], 0),
+        last(4),
+        last(5),
+      ]);
+    }
+  }
+
+  function scheduleNext() {
+    const now  = Date.now();
+    const next = now - (now % 60000) + 60000;
+    timer = setTimeout(async () => {
+      await closeMinute(next);
+      if (timer) scheduleNext();
+    }, next - now);
+    timer.unref();
+  }
+
+  function start(sample) {
+    if (sample) sampleFn = sample;
+    load();
+    scheduleNext();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  /**
+   * query(worker, rangeSec) → { resolution, stepSec, points: [{ t, hashrate, accepted,
+   * rejected, rejectRate, difficulty, networkDifficulty }] }; worker '' is the total.
+   */
+  function query(worker = TOTAL, rangeSec = 24 * 3600) {
+    const resolution = resolutionFor(rangeSec);
+    const from   = Date.now() - rangeSec * 1000;
+    const points = (series[resolution].get(worker) || []).filter(p => p[0] >= from);
+    return {
+      resolution,
+      stepSec: RESOLUTIONS[resolution].stepSec,
+      points : points.map(([t, hashrate, accepted, rejected, difficulty, networkDifficulty]) => ({
+        t, hashrate, accepted, rejected,
+        rejectRate: accepted + rejected ? rejected / (accepted + rejected) : null,
+        difficulty, networkDifficulty,
+      })),
+    };
+  }
+
+  /** Workers with a series, most recently seen first */
+  function workers() {
+    const last = key => series['1m'].get(key)?.at(-1)?.[0] ?? series['15m'].get(key)?.at(-1)?.[0] ?? 0;
+    const keys = new Set([...series['1m'].keys(), ...series['15m'].keys()]);
+    keys.delete(TOTAL);
+    return [...keys].sort((a, b) => last(b) - last(a));
+  }
+
+  function save() {
+    if (!FILE) return;
+    const data = { savedAt: Date.now(), series: {} };
+    for (const [resolution, byKey] of Object.entries(series)) data.series[resolution] = Object.fromEntries(byKey);
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(FILE + '.tmp', JSON.stringify(data));
+      fs.renameSync(FILE + '.tmp', FILE);
+    } catch (e) {
+      log('HIST', `Could not save ${FILE}: ${e.message}`);
+    }
+  }
+
+  function load() {
+    if (!FILE) return;
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(FILE, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') log('HIST', `Unreadable ${FILE}: ${e.message}`);
+      return;
+    }
+    for (const resolution of Object.keys(RESOLUTIONS)) {
+      for (const [key, points] of Object.entries(data.series?.[resolution] || {})) {
+        if (Array.isArray(points)) series[resolution].set(key, points);
+      }
+    }
+    prune(Date.now());
+    log('HIST', `Loaded ${FILE}: ${series['1m'].size} series, saved ${Math.round((Date.now() - data.savedAt) / 60000)} min ago`);
+  }
+
+  function stats() {
+    const count = r => [...series[r].values()].reduce((s, p) => s + p.length, 0);
+    return { file: FILE, maxWorkers, series: series['1m'].size, points: { '1m': count('1m'), '15m': count('15m') } };
+  }
+
+  return { recordShare, start, stop, query, workers, save, stats };
+}
+
+module.exports = { createHistory, parseRange, RESOLUTIONS };
@@ -54,7 +54,7 @@ if [ ! -f config.json ]; then
   "node": {
     "host"    : "127.0.0.1",
     "port"    : 8114,
-    "coinbase": "ckb1qyqwueud5e9j3lp3chv8qq820s7lxyggd9usvlg"
+    "coinbase": ""
   },
   "local": {
     "host"     : "0.0.0.0",
@@ -72,6 +72,7 @@ if [ ! -f config.json ]; then
 }
 CONF
   echo "► Default config written (solo mode → local CKB node port 8114)"
+  echo "  node.coinbase is empty — set it to YOUR CKB address: it decides where block rewards go"
 else
   echo "✓ config.json already exists — not overwriting"
 fi
@@ -91,7 +92,7 @@ Wants=network-online.target
 Type=simple
 User=$USER
 WorkingDirectory=$INSTALL_DIR
-ExecStart=$NODE_BIN $INSTALL_DIR/solo-proxy.js
+ExecStart=$NODE_BIN $INSTALL_DIR/proxy.js
 Restart=always
 RestartSec=5
 StandardOutput=journal
@@ -0,0 +1,29 @@
+/**
+ * job-history.js — short ring of recent jobs keyed by job id
+ *
+ * Lets a backend validate a share against the job it was actually mined on,
+ * not just the newest one. The oldest job falls off once `size` is exceeded;
+ * anything not in the ring is treated as stale.
+ */
+'use strict';
+
+function createJobHistory(size = 8) {
+  const jobs = new Map();   // jobId → job, oldest first
+
+  function add(jobId, job) {
+    const id = String(jobId);
+    jobs.delete(id);   // re-added ids move to the newest slot
+    jobs.set(id, job);
+    while (jobs.size > size) jobs.delete(jobs.keys().next().value);
+  }
+
+  return {
+    add,
+    get   : jobId => jobs.get(String(jobId)),
+    clear : () => jobs.clear(),
+    ids   : () => [...jobs.keys()],
+    get size() { return jobs.size; },
+  };
+}
+
+module.exports = { createJobHistory };
@@ -0,0 +1,62 @@
+/**
+ * metrics.js — Prometheus text exposition for GET /metrics
+ *
+ * The daemon builds metric families from its live state on every scrape;
+ * only values that must accumulate between scrapes (share counts per label
+ * set) are kept in counter sets created here.
+ *
+ * Family: { name, type: 'counter' | 'gauge' | 'summary', help, samples }
+ * Sample: { labels: { k: v }, value, suffix? }   suffix e.g. '_sum' / '_count'
+ */
+'use strict';
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(v) {
+  return String(v ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(v) {
+  if (typeof v === 'boolean') return v ? '1' : '0';
+  if (v == null || Number.isNaN(v)) return 'NaN';
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return String(v);
+}
+
+/** renderMetrics(families) → exposition text; families without samples are left out */
+function renderMetrics(families) {
+  const lines = [];
+  for (const f of families) {
+    if (!f.samples.length) continue;
+    lines.push(`# HELP ${f.name} ${f.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${f.name} ${f.type}`);
+    for (const { labels = {}, value, suffix = '' } of f.samples) {
+      const l = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',');
+      lines.push(`${f.name}${suffix}${l ? `{${l}}` : ''} ${formatValue(value)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * createCounterSet(labelNames) → { inc(labelValues, by), samples() }
+ * A counter keyed by label values, e.g. inc(['rig1', 'rejected', 'stale']).
+ */
+function createCounterSet(labelNames) {
+  const values = new Map();   // JSON of label values → count
+  return {
+    inc(labelValues, by = 1) {
+      const key = JSON.stringify(labelValues);
+      values.set(key, (values.get(key) || 0) + by);
+    },
+    samples() {
+      return [...values].map(([key, value]) => {
+        const lv = JSON.parse(key);
+        return { labels: Object.fromEntries(labelNames.map((n, i) => [n, lv[i]])), value };
+      });
+    },
+  };
+}
+
+module.exports = { renderMetrics, createCounterSet, CONTENT_TYPE };
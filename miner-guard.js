@@ -0,0 +1,166 @@
+/**
+ * miner-guard.js — connection limits, ban scores and temporary IP bans
+ *
+ * Configured under `limits`. Every miner listener asks admit(ip) before it
+ * keeps a socket and calls release(ip) when it closes, so the overall and
+ * per-IP connection caps hold across v1, TLS and SV2.
+ *
+ * Misbehaviour adds points to the IP's ban score (see PENALTY); the score
+ * halves every `banScoreHalfLifeSec`, so an occasional bad share is forgotten
+ * while a steady stream of them is not. Reaching `banScore` bans the address
+ * for `banSec` seconds. Bans live in memory only.
+ */
+'use strict';
+
+const { plainIp } = require('./access.js');
+
+/** Ban score points per offence */
+const PENALTY = {
+  malformed     : 10,    // unparseable JSON / not a Stratum request
+  oversize      : 100,   // line or frame over the size limit — always bans
+  invalidShare  : 5,     // low difficulty, unauthorized or unsubscribed share
+  duplicateShare: 5,
+  authFailure   : 10,
+};
+
+/** Share error codes that count against the miner (stale and upstream errors don't) */
+const SHARE_PENALTY = { 22: 'duplicateShare', 23: 'invalidShare', 24: 'invalidShare', 25: 'invalidShare' };
+
+function limitSettings(cfg = {}) {
+  return {
+    maxConnections     : cfg.maxConnections      ?? 1024,
+    maxPerIp           : cfg.maxPerIp            ?? 64,
+    maxLineBytes       : cfg.maxLineBytes        ?? 16 * 1024,
+    subscribeTimeoutSec: cfg.subscribeTimeoutSec ?? 30,
+    idleTimeoutSec     : cfg.idleTimeoutSec      ?? 900,
+    banScore           : cfg.banScore            ?? 100,
+    banScoreHalfLifeSec: cfg.banScoreHalfLifeSec ?? 600,
+    banSec             : cfg.banSec              ?? 600,   // 0 = never ban
+  };
+}
+
+/**
+ * createMinerGuard(config.limits, onBan) → { settings, admit, release, penalize, ban, unban, sweep, bans, stats }
+ * onBan(ip, reason, sec) is called when an address gets banned, so its open
+ * connections can be closed.
+ */
+function createMinerGuard(cfg, onBan = () => {}) {
+  const settings = limitSettings(cfg);
+  const perIp    = new Map();   // ip → open connections
+  const scores   = new Map();   // ip → { score, at }
+  const banned   = new Map();   // ip → { until, reason, since }
+  let open = 0;
+  const counters = { refusedFull: 0, refusedPerIp: 0, refusedBanned: 0, bansIssued: 0 };
+
+  function banEntry(ip) {
+    const b = banned.get(ip);
+    if (b && b.until <= Date.now()) {
+      banned.delete(ip);
+      return null;
+    }
+    return b || null;
+  }
+
+  /** Score of a { score, at } entry as of now */
+  function decayed(entry, now) {
+    return entry.score * Math.pow(0.5, (now - entry.at) / 1000 / settings.banScoreHalfLifeSec);
+  }
+
+  /** admit(ip) → null if the connection may stay, otherwise why not; counts it when admitted */
+  function admit(rawIp) {
+    const ip = plainIp(rawIp);
+    const b  = banEntry(ip);
+    if (b) {
+      counters.refusedBanned++;
+      return `banned for ${Math.ceil((b.until - Date.now()) / 1000)}s more (${b.reason})`;
+    }
+    if (open >= settings.maxConnections) {
+      counters.refusedFull++;
+      return `server full (${settings.maxConnections} connections)`;
+    }
+    const n = perIp.get(ip) || 0;
+    if (settings.maxPerIp && n >= settings.maxPerIp) {
+      counters.refusedPerIp++;
+      return `too many connections from this address (${settings.maxPerIp})`;
+    }
+    perIp.set(ip, n + 1);
+    open++;
+    return null;
+  }
+
+  function release(rawIp) {
+    const ip = plainIp(rawIp);
+    const n  = perIp.get(ip) || 0;
+    if (n <= 1) perIp.delete(ip);
+    else perIp.set(ip, n - 1);
+    open = Math.max(0, open - 1);
+  }
+
+  function ban(rawIp, reason, sec = settings.banSec) {
+    const ip  = plainIp(rawIp);
+    const now = Date.now();
+    banned.set(ip, { until: now + sec * 1000, reason, since: now });
+    scores.delete(ip);
+    counters.bansIssued++;
+    onBan(ip, reason, sec);
+  }
+
+  function unban(rawIp) {
+    const ip = plainIp(rawIp);
+    scores.delete(ip);
+    return banned.delete(ip);
+  }
+
+  /**
+   * penalize(ip, offence) → true if this pushed the address over the ban score.
+   * offence is a PENALTY key, or a share error code.
+   */
+  function penalize(rawIp, offence) {
+    const kind   = typeof offence === 'number' ? SHARE_PENALTY[offence] : offence;
+    const points = PENALTY[kind];
+    if (!points || !settings.banSec) return false;
+    const ip = plainIp(rawIp);
+    if (banEntry(ip)) return false;
+    const now   = Date.now();
+    const prev  = scores.get(ip);
+    const score = (prev ? decayed(prev, now) : 0) + points;
+    if (score >= settings.banScore) {
+      ban(ip, `ban score ${Math.round(score)} (last: ${kind})`);
+      return true;
+    }
+    scores.set(ip, { score, at: now });
+    return false;
+  }
+
+  /** Drop expired bans and scores that have decayed to nothing */
+  function sweep() {
+    const now = Date.now();
+    for (const ip of banned.keys()) banEntry(ip);
+    for (const [ip, s] of scores) {
+      if (decayed(s, now) < 1) scores.delete(ip);
+    }
+  }
+
+  /** Current bans, soonest to expire first */
+  function bans() {
+    const now = Date.now();
+    for (const ip of banned.keys()) banEntry(ip);
+    return [...banned.entries()]
+      .map(([ip, b]) => ({ ip, reason: b.reason, since: b.since, until: b.until, remainingSec: Math.ceil((b.until - now) / 1000) }))
+      .sort((a, b) => a.until - b.until);
+  }
+
+  function stats() {
+    const now = Date.now();
+    const top = [...scores.entries()]
+      .map(([ip, s]) => ({ ip, score: Math.round(decayed(s, now)) }))
+      .filter(s => s.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10);
+    return { ...settings, connections: open, addresses: perIp.size, ...counters, bans: bans(), banScores: top };
+  }
+
+  return { settings, admit, release, penalize, ban, unban, sweep, bans, stats };
+}
+
+module.exports = { createMinerGuard, limitSettings, PENALTY };
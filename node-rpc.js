@@ -0,0 +1,67 @@
+/**
+ * node-rpc.js — minimal JSON-RPC client for a CKB node
+ */
+'use strict';
+
+const http = require('http');
+
+const NODE_TIMEOUT = 8000;  // 8s timeout on RPC calls
+
+/**
+ * createNodeRpc({ host, port }) → rpc(method, params) → Promise<result>
+ * rpc.stats() → { [method]: { calls, errors, totalMs, lastMs, lastError } } for the metrics.
+ */
+function createNodeRpc({ host = '127.0.0.1', port = 8114, timeout = NODE_TIMEOUT } = {}) {
+  const calls = {};
+
+  function rpc(method, params) {
+    const started = Date.now();
+    const stat = calls[method] ||= { calls: 0, errors: 0, totalMs: 0, lastMs: null, lastError: null };
+    return send(method, params).then(
+      result => {
+        stat.calls++;
+        stat.lastMs = Date.now() - started;
+        stat.totalMs += stat.lastMs;
+        return result;
+      },
+      err => {
+        stat.calls++;
+        stat.errors++;
+        stat.lastMs = Date.now() - started;
+        stat.totalMs += stat.lastMs;
+        stat.lastError = err.message;
+        throw err;
+      },
+    );
+  }
+
+  function send(method, params) {
+    return new Promise((resolve, reject) => {
+      const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method, params });
+      const req  = http.request({
+        host, port, method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+        timeout,
+      }, res => {
+        let d = ''; res.on('data', c => d += c);
+        res.on('end', () => {
+          try {
+            const msg = JSON.parse(d);
+            if (msg.error) reject(new Error(JSON.stringify(msg.error)));
+            else resolve(msg.result);
+          } catch (e) { reject(e); }
+        });
+      });
+      req.on('timeout', () => {
+        req.destroy(new Error(`RPC timeout: ${method}`));
+      });
+      req.on('error', reject);
+      req.write(body); req.end();
+    });
+  }
+
+  rpc.stats = () => calls;
+  return rpc;
+}
+
+module.exports = { createNodeRpc };
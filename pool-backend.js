@@ -0,0 +1,717 @@
+/**
+ * pool-backend.js — job source that relays an upstream Stratum pool
+ *
+ * Keeps one upstream connection to the highest-priority healthy pool, fails
+ * over down the list when it drops or stalls, and fails back once the primary
+ * answers a probe again. Jobs and targets from the pool are emitted to the
+ * daemon; shares that meet the pool target are forwarded upstream.
+ *
+ * A pool given as `url: "stratum+ssl://host:port"` (or `tls: true`) is
+ * reached over TLS. With a `fingerprint` (SHA-256 of the pool's certificate)
+ * the certificate is pinned instead of checked against the CA store, so
+ * self-signed pool certificates work; without one it must chain to a trusted CA.
+ *
+ * Events:
+ *   'job'        (notifyParams)        new mining.notify from the pool
+ *   'target'     ()                    pool target / difficulty changed
+ *   'extranonce' ()                    subscribed upstream, or the pool sent mining.set_extranonce —
+ *                                      miner slices may have moved
+ *   'block'      ({ worker })          pool accepted a forwarded share
+ *   'candidate'  ({ worker, job, accepted })  same, for the block history
+ *   'upstream'   ({ pool, state, reason?, from?, to? })  state 'up' (authorized), 'down' or 'failover'
+ */
+'use strict';
+
+const net              = require('net');
+const tls              = require('tls');
+const { EventEmitter } = require('events');
+const { hashCKB, meetsTarget } = require('./eaglesong.js');
+const { scaleTarget }  = require('./target.js');
+const { createJobHistory } = require('./job-history.js');
+const { createExtranonceAllocator } = require('./extranonce-alloc.js');
+const { log }          = require('./util.js');
+const { normalizeFingerprint } = require('./tls-cert.js');
+
+const JOB_HISTORY = 8;  // recent pool jobs a share may still be submitted against
+
+/**
+ * Pool config → { …, host, port, tls, fingerprint }. `url` (stratum+tcp:// or
+ * stratum+ssl://) overrides host / port / tls when given.
+ */
+function poolEndpoint(p) {
+  let { host, port, tls: useTls = false } = p;
+  if (p.url) {
+    const url = new URL(p.url);
+    if (!/^stratum\+(tcp|ssl|tls):$/.test(url.protocol)) throw new Error(`unsupported pool url ${p.url}`);
+    host   = url.hostname;
+    port   = Number(url.port) || port;
+    useTls = url.protocol !== 'stratum+tcp:';
+  }
+  return { ...p, host, port, tls: !!useTls, fingerprint: p.fingerprint ? normalizeFingerprint(p.fingerprint) : null };
+}
+
+function createPoolBackend(config) {
+  const events = new EventEmitter();
+
+  // Upstream pools in priority order — the first entry is the primary.
+  // `pools` supersedes the single `pool` block, which older configs still use.
+  const POOLS = (Array.isArray(config.pools) && config.pools.length ? config.pools : [config.pool])
+    .filter(Boolean)
+    .map(poolEndpoint)
+    .map(p => ({
+      name         : p.name || `${p.host}:${p.port}`,
+      host         : p.host,
+      port         : p.port,
+      tls          : p.tls,
+      fingerprint  : p.fingerprint,
+      user         : p.user,
+      pass         : p.pass || 'x',
+      failures     : 0,      // consecutive failed connections
+      connects     : 0,      // successful connections, ever
+      attempts     : 0,      // connection attempts, ever
+      lastError    : null,
+      lastConnected: null,
+      downUntil    : 0,      // skipped by failover until this time
+    }));
+
+  // Failover settings
+  const FAILOVER = {
+    maxFailures     : config.failover?.maxFailures      || 3,    // reconnect attempts before moving on
+    notifyTimeoutSec: config.failover?.notifyTimeoutSec ?? 120,  // no mining.notify for this long = stalled (0 = off)
+    retryDelaySec   : config.failover?.retryDelaySec    || 120,  // how long a failed pool is skipped
+    failbackCheckSec: config.failover?.failbackCheckSec || 60,   // how often to probe higher-priority pools
+    probeTimeoutSec : config.failover?.probeTimeoutSec  || 15,
+  };
+
+  // ── State ───────────────────────────────────────────────────────────────────
+  let running         = false;
+  let upstream        = null;
+  let upstreamBuf     = '';
+  let upstreamReady   = false;
+  let reconnectDelay  = 2000;
+  let reconnectTimer  = null;
+  let upstreamDrop    = null;  // why we closed the upstream socket ourselves
+  let activePool      = 0;     // index into POOLS
+  let lastNotifyTime  = 0;
+  let probeInFlight   = false;
+  let timers          = [];
+
+  const failoverHistory = [];
+  let failoverCount = 0;
+  const FAILOVER_HISTORY_MAX = 50;
+
+  let poolExtranonce1     = '';
+  let poolExtranonce2Size = 0;
+  let poolExtranonceUpdates = null;   // pool answered mining.extranonce.subscribe (null = not asked yet)
+  const suffixes = createExtranonceAllocator();   // per-miner slices of the pool's extranonce2
+  let currentJob          = null;  // last mining.notify params
+  let currentTarget       = null;  // last mining.set_target hex (LE 64 chars)
+  let poolDifficulty      = null;  // from mining.set_difficulty
+  let currentJobTime      = null;  // timestamp of last job update
+  const jobs              = createJobHistory(JOB_HISTORY);  // job id → { powHash, target }
+
+  const pendingUpstream = new Map();  // our own requests (subscribe/authorize)
+  const pendingShares   = new Map();  // upstream id → { worker, jobId, resolve }
+  let upstreamRequestId = 100;
+
+  // ── Upstream connection ─────────────────────────────────────────────────────
+  /**
+   * Plain TCP, or TLS for stratum+ssl pools. onConnect runs once the socket
+   * is usable — for TLS, after the handshake and the fingerprint check.
+   */
+  function openSocket(pool, onConnect) {
+    if (!pool.tls) return net.connect(pool.port, pool.host, onConnect);
+    const sock = tls.connect({
+      host              : pool.host,
+      port              : pool.port,
+      servername        : net.isIP(pool.host) ? undefined : pool.host,
+      rejectUnauthorized: !pool.fingerprint,
+    }, () => {
+      if (pool.fingerprint) {
+        const got = normalizeFingerprint(sock.getPeerCertificate().fingerprint256);
+        if (got !== pool.fingerprint) {
+          sock.destroy(new Error(`TLS certificate ${got} does not match the pinned fingerprint`));
+          return;
+        }
+      }
+      onConnect();
+    });
+    return sock;
+  }
+
+  function connectUpstream() {
+    const pool = POOLS[activePool];
+    reconnectTimer = null;
+    log('UP', `Connecting to ${pool.name} (${pool.host}:${pool.port}${pool.tls ? ', TLS' : ''})...`);
+    pool.attempts++;
+    upstreamBuf = '';
+    upstreamReady = false;
+    upstreamDrop  = null;
+
+    const sock = openSocket(pool, () => {
+      log('UP', `Connected to ${pool.name}${pool.tls ? ` (${sock.getProtocol()})` : ''}`);
+      pool.connects++;
+      reconnectDelay = 2000;
+      subscribeUpstream();
+    });
+    upstream = sock;
+
+    sock.on('data', data => {
+      if (sock !== upstream) return;
+      upstreamBuf += data.toString();
+      let nl;
+      while ((nl = upstreamBuf.indexOf('\n')) !== -1) {
+        const line = upstreamBuf.slice(0, nl).trim();
+        upstreamBuf = upstreamBuf.slice(nl + 1);
+        if (line) handleUpstreamMessage(line);
+      }
+    });
+
+    sock.on('close', () => {
+      if (sock !== upstream) return;
+      upstreamReady = false;
+      upstream = null;
+      const drop = upstreamDrop || { reason: 'connection closed' };
+      events.emit('upstream', { pool: pool.name, state: 'down', reason: drop.reason });
+      handleUpstreamLost(drop);
+    });
+
+    sock.on('error', err => {
+      if (sock === upstream && !upstreamDrop) upstreamDrop = { reason: err.message };
+      log('UP', 'Error:', err.message);
+    });
+  }
+
+  /** Drop the active upstream on purpose; the close handler acts on `drop`. */
+  function dropUpstream(drop) {
+    if (!upstream) return false;
+    upstreamDrop = drop;
+    upstream.destroy();
+    return true;
+  }
+
+  function handleUpstreamLost(drop) {
+    const pool = POOLS[activePool];
+    failPendingShares();
+    if (!running) return;
+
+    // Planned switch (fail-back) — go straight to the new pool
+    if (drop.switchTo != null) {
+      activePool = drop.switchTo;
+      resetJobState();
+      connectUpstream();
+      return;
+    }
+
+    pool.failures++;
+    pool.lastError = drop.reason;
+    if (drop.markDown || pool.failures >= FAILOVER.maxFailures) {
+      pool.downUntil = Date.now() + FAILOVER.retryDelaySec * 1000;
+      const next = nextPoolIndex();
+      if (next !== activePool) {
+        recordFailover(activePool, next, drop.reason);
+        activePool = next;
+        resetJobState();
+        // Every pool is down — fall through to the backoff instead of spinning
+        if (POOLS[next].downUntil <= Date.now()) {
+          reconnectDelay = 2000;
+          connectUpstream();
+          return;
+        }
+      }
+    }
+
+    log('UP', `Disconnected from ${pool.name} (${drop.reason}) — retrying ${POOLS[activePool].name} in ${reconnectDelay / 1000}s`);
+    reconnectTimer = setTimeout(connectUpstream, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, 60000);
+  }
+
+  /** Highest-priority pool not currently marked down; else the one back soonest. */
+  function nextPoolIndex() {
+    const now = Date.now();
+    const up  = POOLS.findIndex(p => p.downUntil <= now);
+    if (up !== -1) return up;
+    let best = 0;
+    POOLS.forEach((p, i) => { if (p.downUntil < POOLS[best].downUntil) best = i; });
+    return best;
+  }
+
+  function recordFailover(from, to, reason) {
+    const entry = { time: Date.now(), from: POOLS[from].name, to: POOLS[to].name, reason };
+    failoverCount++;
+    failoverHistory.push(entry);
+    if (failoverHistory.length > FAILOVER_HISTORY_MAX) failoverHistory.shift();
+    log('UP', `Failover ${entry.from} → ${entry.to} (${reason})`);
+    events.emit('upstream', { pool: entry.to, state: 'failover', from: entry.from, to: entry.to, reason });
+  }
+
+  /** Switch to another pool without counting it as a failure (used for fail-back). */
+  function switchPool(index, reason) {
+    if (index === activePool) return;
+    recordFailover(activePool, index, reason);
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    if (!dropUpstream({ reason, switchTo: index })) {
+      activePool = index;
+      connectUpstream();
+    }
+  }
+
+  /** Drop the upstream connection and open it again to the same pool; false when stopped. */
+  function reconnect(reason = 'reconnect requested') {
+    if (!running) return false;
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    if (!dropUpstream({ reason, switchTo: activePool })) connectUpstream();
+    return true;
+  }
+
+  /** Work and targets from the old pool mean nothing to the new one. */
+  function resetJobState() {
+    jobs.clear();
+    currentJob     = null;
+    currentJobTime = null;
+    currentTarget  = null;
+    poolDifficulty = null;
+  }
+
+  /** Shares in flight to the old pool will never be answered — fail them now. */
+  function failPendingShares() {
+    for (const [, { resolve }] of pendingShares) {
+      resolve({ result: false, error: [20, 'Upstream pool disconnected', null] });
+    }
+    pendingShares.clear();
+    pendingUpstream.clear();
+  }
+
+  /**
+   * probePool(pool) → Promise<boolean>
+   * Healthy = accepts our credentials and sends a mining.notify within the timeout.
+   * Uses a throwaway connection so the active upstream is untouched.
+   */
+  function probePool(pool) {
+    return new Promise(resolve => {
+      let buf  = '';
+      let done = false;
+      const finish = ok => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        sock.destroy();
+        resolve(ok);
+      };
+      const timer = setTimeout(() => finish(false), FAILOVER.probeTimeoutSec * 1000);
+
+      const sock = openSocket(pool, () => {
+        sock.write(JSON.stringify({ id: 1, method: 'mining.subscribe', params: ['ckb-stratum-proxy/1.1'] }) + '\n');
+        sock.write(JSON.stringify({ id: 2, method: 'mining.authorize', params: [pool.user, pool.pass] }) + '\n');
+      });
+      sock.on('data', data => {
+        buf += data.toString();
+        let nl;
+        while ((nl = buf.indexOf('\n')) !== -1) {
+          const line = buf.slice(0, nl).trim();
+          buf = buf.slice(nl + 1);
+          let msg;
+          try { msg = JSON.parse(line); } catch { continue; }
+          if (msg.id === 2 && !msg.result) return finish(false);
+          if (msg.method === 'mining.notify') return finish(true);
+        }
+      });
+      sock.on('error', () => finish(false));
+      sock.on('close', () => finish(false));
+    });
+  }
+
+  function startFailoverTimers() {
+    // Stalled pool: connected and authorized but no new work
+    if (FAILOVER.notifyTimeoutSec > 0) {
+      timers.push(setInterval(() => {
+        if (!upstreamReady) return;
+        const idleSec = Math.floor((Date.now() - lastNotifyTime) / 1000);
+        if (idleSec > FAILOVER.notifyTimeoutSec) {
+          log('UP', `No mining.notify from ${POOLS[activePool].name} for ${idleSec}s`);
+          dropUpstream({ reason: `no mining.notify for ${idleSec}s`, markDown: true });
+        }
+      }, 5000));
+    }
+
+    // Fail-back: probe every pool above the active one, switch to the first healthy one
+    if (POOLS.length > 1) {
+      timers.push(setInterval(async () => {
+        if (activePool === 0 || probeInFlight) return;
+        probeInFlight = true;
+        try {
+          for (let i = 0; i < activePool; i++) {
+            if (await probePool(POOLS[i])) {
+              POOLS[i].failures  = 0;
+              POOLS[i].downUntil = 0;
+              if (running) switchPool(i, `fail-back: ${POOLS[i].name} healthy again`);
+              break;
+            }
+          }
+        } finally {
+          probeInFlight = false;
+        }
+      }, FAILOVER.failbackCheckSec * 1000));
+    }
+  }
+
+  function sendUpstream(obj) {
+    if (!upstream?.writable) return false;
+    upstream.write(JSON.stringify(obj) + '\n');
+    return true;
+  }
+
+  function subscribeUpstream() {
+    const id = upstreamRequestId++;
+    sendUpstream({ id, method: 'mining.subscribe', params: ['ckb-stratum-proxy/1.1'] });
+    pendingUpstream.set(id, { type: 'subscribe' });
+  }
+
+  /** Ask the pool to announce extranonce changes with mining.set_extranonce instead of dropping us */
+  function subscribeExtranonceUpstream() {
+    const id = upstreamRequestId++;
+    sendUpstream({ id, method: 'mining.extranonce.subscribe', params: [] });
+    pendingUpstream.set(id, { type: 'extranonce.subscribe' });
+  }
+
+  function authorizeUpstream() {
+    const id = upstreamRequestId++;
+    const pool = POOLS[activePool];
+    sendUpstream({ id, method: 'mining.authorize', params: [pool.user, pool.pass] });
+    pendingUpstream.set(id, { type: 'authorize' });
+  }
+
+  function handleUpstreamMessage(line) {
+    let msg;
+    try { msg = JSON.parse(line); } catch { log('UP', 'Bad JSON:', line.slice(0,80)); return; }
+
+    // Response to one of our requests
+    if (msg.id != null && pendingUpstream.has(msg.id)) {
+      const ctx = pendingUpstream.get(msg.id);
+      pendingUpstream.delete(msg.id);
+      handleUpstreamResponse(ctx, msg);
+      return;
+    }
+
+    // Response to a forwarded miner share
+    if (msg.id != null && pendingShares.has(msg.id)) {
+      const { worker, jobId, resolve } = pendingShares.get(msg.id);
+      pendingShares.delete(msg.id);
+      if (msg.result === true) {
+        log('SHARE', `✓ 🎉 BLOCK FOUND! pool accepted from ${worker}`);
+        events.emit('candidate', { worker, job: jobId, accepted: true });
+        events.emit('block', { worker });   // solo mode: accepted share = block found
+        resolve({ result: true, error: null });
+      } else {
+        log('SHARE', `✗ pool rejected from ${worker}:`, JSON.stringify(msg.error));
+        resolve({ result: false, error: msg.error });
+      }
+      return;
+    }
+
+    // Notifications
+    switch (msg.method) {
+      case 'mining.notify':
+        currentJob = msg.params;
+        currentJobTime = Date.now();
+        // Clean job: the pool will reject anything mined on earlier jobs
+        if (currentJob[4]) jobs.clear();
+        // The pool target in force when the job arrived is the one its shares are judged by
+        jobs.add(currentJob[0], { powHash: currentJob[1], target: currentTarget });
+        lastNotifyTime = currentJobTime;
+        log('POOL', `Job ${msg.params[0]} height=${msg.params[2]}`);
+        events.emit('job', currentJob);
+        break;
+
+      case 'mining.set_target':
+        currentTarget = msg.params[0];
+        // Pools may send the new target just after the job it applies to
+        if (currentJob && jobs.get(currentJob[0])) jobs.get(currentJob[0]).target = currentTarget;
+        log('POOL', `set_target → ${currentTarget.slice(0,16)}...`);
+        // Don't relay pool target directly — the daemon sends each miner its vardiff target
+        events.emit('target');
+        break;
+
+      case 'mining.set_extranonce': {
+        const [en1, en2Size] = msg.params || [];
+        if (typeof en1 !== 'string' || !/^[0-9a-f]*$/i.test(en1)) {
+          log('UP', `Ignoring bad set_extranonce: ${JSON.stringify(msg.params)}`);
+          break;
+        }
+        poolExtranonce1 = en1.toLowerCase();
+        if (Number.isInteger(en2Size) && en2Size > 0) poolExtranonce2Size = en2Size;
+        log('UP', `set_extranonce → en1=${poolExtranonce1} en2sz=${poolExtranonce2Size}`);
+        suffixes.resize(poolExtranonce2Size);
+        // Work on the old extranonce can't be submitted any more; the pool's next job uses the new one
+        jobs.clear();
+        events.emit('extranonce');
+        break;
+      }
+
+      case 'mining.set_difficulty':
+        poolDifficulty = msg.params[0];
+        log('POOL', `set_difficulty → ${poolDifficulty}`);
+        events.emit('target');
+        break;
+
+      default:
+        log('UP', `Unhandled: ${msg.method}`);
+    }
+  }
+
+  function handleUpstreamResponse(ctx, msg) {
+    if (ctx.type === 'subscribe') {
+      if (!msg.result) { log('UP', 'Subscribe FAILED:', msg.error); return; }
+      poolExtranonce1     = msg.result[1] || '';
+      poolExtranonce2Size = msg.result[2] || 8;
+      log('UP', `Subscribed: en1=${poolExtranonce1} en2sz=${poolExtranonce2Size}`);
+      if (suffixes.resize(poolExtranonce2Size)) {
+        const { width, capacity } = suffixes.stats();
+        log('UP', `Miner extranonce suffix is now ${width} byte(s) — room for ${capacity} miners`);
+      }
+      // A new pool (or a resubscribe) may hand out a different extranonce1
+      events.emit('extranonce');
+      poolExtranonceUpdates = null;
+      subscribeExtranonceUpstream();
+      authorizeUpstream();
+    } else if (ctx.type === 'extranonce.subscribe') {
+      // Optional extension — pools that don't know it answer with an error or false
+      poolExtranonceUpdates = msg.result === true;
+      log('UP', poolExtranonceUpdates ? 'Pool will announce extranonce changes' : 'Pool does not support mining.extranonce.subscribe');
+    } else if (ctx.type === 'authorize') {
+      const pool = POOLS[activePool];
+      if (msg.result) {
+        log('UP', `Authorized as ${pool.user} on ${pool.name}`);
+        upstreamReady      = true;
+        lastNotifyTime     = Date.now();
+        pool.failures      = 0;
+        pool.lastConnected = lastNotifyTime;
+        events.emit('upstream', { pool: pool.name, state: 'up' });
+      } else {
+        log('UP', 'Auth FAILED:', msg.error);
+      }
+    }
+  }
+
+  // ── Extranonce allocation ───────────────────────────────────────────────────
+  /**
+   * extranonce(miner, session) → { extranonce1, extranonce2Size }, or null when
+   * every suffix is taken. `session` is the extranonce1 the miner had before
+   * (mining.subscribe params[1]); its suffix is handed back if still free.
+   */
+  function extranonce(miner, session) {
+    const width     = suffixes.width();
+    const requested = typeof session === 'string' && session.length > width * 2 ? session.slice(-width * 2) : null;
+    const suffix    = suffixes.allocate(miner.id, requested);
+    if (suffix === null) return null;
+    return {
+      extranonce1    : poolExtranonce1 + suffix,
+      extranonce2Size: Math.max(1, (poolExtranonce2Size || 8) - width),
+    };
+  }
+
+  /** The pool-side extranonce2 of a share, or null if the miner holds no suffix */
+  function buildFullExtranonce2(miner, minerEn2) {
+    const suffix = suffixes.suffixOf(miner.id);
+    return suffix === null ? null : suffix + minerEn2;
+  }
+
+  /** A share's extranonce2 as lower-case hex, or null unless it is extranonce2Size bytes of hex */
+  function minerExtranonce2(miner, en2) {
+    const e2 = String(en2 ?? '').replace(/^0x/, '').toLowerCase();
+    return /^[0-9a-f]*$/.test(e2) && e2.length === miner.extranonce2Size * 2 ? e2 : null;
+  }
+
+  /**
+   * The 16-byte nonce a share is hashed with (32 hex), or null if it isn't the
+   * miner's: its extranonce2 must fill the miner's extranonce2Size, a
+   * full-length nonce must start with its extranonce1 + extranonce2, and
+   * shorter ones are zero-padded as ViaBTC does.
+   */
+  function fullNonce(miner, en2, nonce) {
+    const e2 = minerExtranonce2(miner, en2);
+    const n  = String(nonce || '').replace(/^0x/, '').toLowerCase();
+    if (e2 === null || !/^[0-9a-f]{1,32}$/.test(n)) return null;
+    if (n.length === 32 && !n.startsWith(miner.extranonce1 + e2)) return null;
+    return n.padStart(32, '0');
+  }
+
+  // ── Backend interface ───────────────────────────────────────────────────────
+  /** Compute a local target for a given local difficulty, using the pool target as base. */
+  function targetForDiff(localDiff) {
+    if (!currentTarget || !poolDifficulty || localDiff <= 0) return currentTarget;
+    return scaleTarget(currentTarget, poolDifficulty, localDiff);
+  }
+
+  /**
+   * submit(miner, share, localTarget) → Promise<{ result, error, localOnly? }>
+   * Shares below the pool target are accepted locally for stats only.
+   */
+  function submit(miner, { jobId, en2, ntime, nonce }, localTarget) {
+    if (suffixes.suffixOf(miner.id) === null) return Promise.resolve({ result: false, error: [25, 'Not subscribed', null] });
+
+    // Only jobs still in the history are worth forwarding — the pool rejects the rest
+    const job = jobs.get(jobId);
+    if (!job) {
+      log('SHARE', `#${miner.id} stale share (job ${jobId} not found)`);
+      return Promise.resolve({ result: false, error: [21, 'Job not found', null], stale: true });
+    }
+
+    // The nonce as it is hashed; one that can't be read is refused here rather
+    // than forwarded unchecked for the pool to reject
+    const hashedNonce = fullNonce(miner, en2, nonce);
+    if (!hashedNonce) {
+      log('SHARE', `#${miner.id} invalid nonce en2=${JSON.stringify(en2)} nonce=${JSON.stringify(nonce)}`);
+      return Promise.resolve({ result: false, error: [20, 'Invalid nonce', null] });
+    }
+    const fullEn2 = buildFullExtranonce2(miner, minerExtranonce2(miner, en2));
+
+    // Validate share against the local (easy) target — accept for stats
+    let meetsPool = false;
+
+    if (job.target) {
+      const powHash = job.powHash;   // hex string
+      // ViaBTC stratum: nonce submitted as 32-char hex (16 bytes)
+      try {
+        const hash = hashCKB(powHash, hashedNonce);
+
+        // Check pool target
+        meetsPool = meetsTarget(hash, job.target);
+
+        // Check local (vardiff) target
+        if (localTarget && !meetsTarget(hash, localTarget)) {
+          log('SHARE', `#${miner.id} stale/low-diff share (below local target)`);
+          return Promise.resolve({ result: false, error: [23, 'Low difficulty share', null] });
+        }
+      } catch (e) {
+        log('SHARE', `#${miner.id} validation error: ${e.message} — forwarding anyway`);
+        meetsPool = true;  // forward on error, let pool decide
+      }
+    } else {
+      meetsPool = true;  // no job/target yet, forward
+    }
+
+    if (!meetsPool) {
+      // Local accept only — counts for hashrate, not forwarded
+      log('SHARE', `#${miner.id} local accept (below pool diff, not forwarded)`);
+      return Promise.resolve({ result: true, error: null, localOnly: true });
+    }
+
+    return new Promise(resolve => {
+      const upId = upstreamRequestId++;
+      if (!sendUpstream({ id: upId, method: 'mining.submit', params: [POOLS[activePool].user, jobId, fullEn2, ntime, String(nonce).replace(/^0x/, '')] })) {
+        resolve({ result: false, error: [20, 'Upstream pool disconnected', null] });
+        return;
+      }
+      pendingShares.set(upId, { worker: miner.worker, jobId, resolve });
+      log('SHARE', `#${miner.id} → pool (job=${jobId})`);
+    });
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    activePool = nextPoolIndex();
+    connectUpstream();
+    startFailoverTimers();
+  }
+
+  function stop() {
+    if (!running) return;
+    running = false;
+    timers.forEach(clearInterval);
+    timers = [];
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    if (!dropUpstream({ reason: 'backend stopped' })) failPendingShares();
+    resetJobState();
+  }
+
+  function poolStats() {
+    return {
+      active       : POOLS[activePool].name,
+      list         : POOLS.map((p, i) => ({
+        name         : p.name,
+        host         : p.host,
+        port         : p.port,
+        tls          : p.tls,
+        pinned       : !!p.fingerprint,
+        user         : p.user,
+        active       : running && i === activePool,
+        state        : !running ? 'stopped'
+                     : i === activePool ? (upstreamReady ? 'active' : 'connecting')
+                     : (p.downUntil > Date.now() ? 'down' : 'standby'),
+        failures     : p.failures,
+        connects     : p.connects,
+        attempts     : p.attempts,
+        lastError    : p.lastError,
+        lastConnected: p.lastConnected,
+      })),
+      failovers    : failoverHistory,
+      failoverCount,
+    };
+  }
+
+  /** Fields for the dashboard's normalised stats format. */
+  function summary() {
+    const pool = POOLS[activePool];
+    return {
+      node       : `${pool.host}:${pool.port === 3001 ? '8114' : pool.port}`,
+      nodeHealthy: upstreamReady,
+      coinbase   : config.local?.coinbaseAddress || config.coinbaseAddress || '—',
+      status     : upstreamReady ? 'active' : 'disconnected',
+      templateAge: currentJob ? Math.floor((Date.now() - (currentJobTime||Date.now()))/1000) : null,
+      block: {
+        height: currentJob?.[2] ?? 0,
+        epoch : currentJob?.[6] ?? '0x0',
+        target: currentTarget ? currentTarget.slice(0,32)+'...' : null,
+        workId: currentJob?.[0] ?? null,
+      },
+      pool: poolStats(),
+    };
+  }
+
+  function details() {
+    return {
+      upstream      : `${POOLS[activePool].host}:${POOLS[activePool].port}`,
+      upstreamReady,
+      currentJobId  : currentJob?.[0] ?? null,
+      recentJobs    : jobs.ids(),
+      blockHeight   : currentJob?.[2] ?? null,
+      poolDifficulty,
+      currentTarget : currentTarget ? currentTarget.slice(0,16)+'...' : null,
+      pools         : poolStats(),
+      extranonce    : { pool: poolExtranonce1, extranonce2Size: poolExtranonce2Size, updates: poolExtranonceUpdates, ...suffixes.stats() },
+    };
+  }
+
+  return Object.assign(events, {
+    name          : 'pool',
+    label         : () => `${POOLS[activePool].name} (${POOLS[activePool].host}:${POOLS[activePool].port})`,
+    pools         : POOLS,
+    start,
+    stop,
+    reconnect,
+    isReady       : () => upstreamReady,
+    notifyParams  : () => currentJob,
+    usesDifficulty: () => poolDifficulty != null,
+    initialDiff   : () => poolDifficulty,
+    targetForDiff,
+    extranonce,
+    fullNonce,
+    release       : miner => suffixes.release(miner.id),
+    submit,
+    summary,
+    details,
+  });
+}
+
+module.exports = { createPoolBackend };
@@ -1,331 +1,669 @@
 #!/usr/bin/env node
+/**
+ * proxy.js — CKB Stratum proxy daemon
+ *
+ * One local Stratum server for any number of miners (v1 JSON, plus an optional
+ * Stratum V2 listener — see sv2.js), fed by a pluggable job source ("backend"):
+ *   pool — relay an upstream Stratum pool, with failover  (pool-backend.js)
+ *   solo — get_block_template / submit_block on a local node (solo-backend.js)
+ *
+ * The miner server, vardiff, share accounting and stats HTTP live here and are
+ * shared by both. The active backend can be switched at runtime through the
+ * admin endpoint without dropping miner connections.
+ *
+ * Backend interface:
+ *   start() / stop()             begin / stop producing work
+ *   isReady()                    has work and a healthy upstream / node
+ *   notifyParams()               current mining.notify params, or null
+ *   targetForDiff(diff)          local target (LE hex) for a miner difficulty
+ *   usesDifficulty()             whether to send mining.set_difficulty as well
+ *   initialDiff()                default miner difficulty, or null
+ *   extranonce(miner, session)   { extranonce1, extranonce2Size } for a miner, or null if full
+ *   fullNonce(miner, en2, nonce) the 32-hex nonce a share is hashed with, or null if not the miner's
+ *   release(miner)               miner disconnected — free its extranonce slice
+ *   submit(miner, share, target) Promise<{ result, error, localOnly?, stale? }>
+ *   summary() / details()        stats fields
+ *   reconnect(reason)            (pool only) drop and re-open the upstream connection
+ *   events: 'job', 'target', 'extranonce', 'block', 'candidate', 'upstream'
+ *
+ * What happens is also published to the dashboard's live event stream
+ * (GET /events, see event-stream.js).
+ */
 'use strict';
 
 const net  = require('net');
+const tls  = require('tls');
 const http = require('http');
-const { hashCKB, meetsTarget, selftest } = require('./eaglesong.js');
-
-// ── Eaglesong self-test ───────────────────────────────────────────────────────
+const fs   = require('fs');
+const path = require('path');
+const { log, fmtUptime, fmtHps } = require('./util.js');
+const {
+  vardiffSettings, newVardiffState, recordVardiffShare, checkVardiff, setVardiff, vardiffStats,
+  clampDiff, workerOverrides, difficultyPolicy,
+} = require('./vardiff.js');
+const { createPoolBackend } = require('./pool-backend.js');
+const { createSoloBackend } = require('./solo-backend.js');
+const { createShareDedup } = require('./share-dedup.js');
+const { createHashrateMeter } = require('./hashrate.js');
+const { createShareStore } = require('./share-store.js');
+const { createBlockTracker } = require('./block-tracker.js');
+const { parseAddress, describeScript } = require('./ckb-address.js');
+const { diffToTargetLE, targetToDiff } = require('./target.js');
+const sv2 = require('./sv2.js');
+const { loadOrCreateCert } = require('./tls-cert.js');
+const { createAccessControl, plainIp, sameSecret } = require('./access.js');
+const { createMinerGuard } = require('./miner-guard.js');
+const { renderMetrics, createCounterSet, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics.js');
+const { createEventStream } = require('./event-stream.js');
+const { createChainInfo } = require('./chain-info.js');
+const { createHistory, parseRange } = require('./history.js');
+
+// ── Self-tests ────────────────────────────────────────────────────────────────
 try {
-  selftest();
-  console.log('[PROXY] Eaglesong self-test OK');
+  require('./blake2b.js').selftest();
+  require('./eaglesong.js').selftest();
+  require('./ckb-header.js').selftest();
+  require('./ckb-address.js').selftest();
+  console.log('[PROXY] All self-tests OK');
 } catch (e) {
   console.error('[PROXY] FATAL:', e.message);
   process.exit(1);
 }
 
 // ── Config ────────────────────────────────────────────────────────────────────
+// CKB_PROXY_CONFIG names another config file in place of ./config.json (the tests use it)
 let config;
-try { config = require('./config.json'); } catch (e) {
+try { config = require(process.env.CKB_PROXY_CONFIG ? path.resolve(process.env.CKB_PROXY_CONFIG) : './config.json'); } catch (e) {
   console.error('[proxy] Missing config.json — copy config.example.json and fill in your details');
   process.exit(1);
 }
 
-const UPSTREAM_HOST = config.pool.host;
-const UPSTREAM_PORT = config.pool.port;
-const UPSTREAM_USER = config.pool.user;
-const UPSTREAM_PASS = config.pool.pass || 'x';
-
 const LOCAL_HOST  = config.local?.host      || '0.0.0.0';
 const LOCAL_PORT  = config.local?.port      || 3333;
 const STATS_PORT  = config.local?.statsPort || 8081;
+// Other sites may only read the newer stats endpoints if local.corsOrigin names
+// them (or is "*"); /proxy-stats has always been open to any origin
+const CORS_HEADERS = config.local?.corsOrigin ? { 'Access-Control-Allow-Origin': config.local.corsOrigin } : {};
+const SV2_PORT    = config.local?.sv2Port   || null;   // Stratum V2 listener, off unless set
+const TLS_PORT    = config.local?.tlsPort   || null;   // stratum+ssl listener, off unless set
+const ADMIN_TOKEN = config.admin?.token     || null;
+
+// Vardiff settings, and per-worker fixed difficulties / profiles from vardiff.workers
+let VARDIFF, VARDIFF_WORKERS;
+try {
+  VARDIFF         = vardiffSettings(config.vardiff);
+  VARDIFF_WORKERS = workerOverrides(config.vardiff);
+} catch (e) {
+  console.error(`[proxy] ${e.message}`);
+  process.exit(1);
+}
 
-// Vardiff settings
-const VARDIFF = {
-  targetShareSec : config.vardiff?.targetShareSec  || 30,   // aim for 1 share every N seconds
-  retargetSec    : config.vardiff?.retargetSec      || 60,   // check interval
-  variancePercent: config.vardiff?.variancePercent  || 30,   // ±30% tolerance
-  minDiff        : config.vardiff?.minDiff          || 0.001,
-  maxDiff        : config.vardiff?.maxDiff          || 1e9,
-  // Initial difficulty sent to miners before pool diff is known.
-  // null = wait for pool diff; number = send this immediately on connect.
-  initialDiff    : config.vardiff?.initialDiff      ?? null,
-};
+// Worker auth mode and IP allow / deny ranges
+let access;
+try {
+  access = createAccessControl(config.auth);
+} catch (e) {
+  console.error(`[proxy] ${e.message}`);
+  process.exit(1);
+}
 
-// ── State ─────────────────────────────────────────────────────────────────────
-let upstream        = null;
-let upstreamBuf     = '';
-let upstreamReady   = false;
-let reconnectDelay  = 2000;
-
-let poolExtranonce1     = '';
-let poolExtranonce2Size = 0;
-let currentJob          = null;  // last mining.notify params
-let currentTarget       = null;  // last mining.set_target hex (LE 64 chars)
-let poolDifficulty      = null;  // from mining.set_difficulty
-let currentJobTime      = null;  // timestamp of last job update
+// Connection caps, ban scores and temporary bans; a ban closes the address's open connections
+const guard = createMinerGuard(config.limits, (ip, reason, sec) => {
+  log('GUARD', `Banned ${ip} for ${sec}s: ${reason}`);
+  for (const m of miners.values()) {
+    if (plainIp(m.socket?.remoteAddress) === ip) m.socket.destroy();
+  }
+});
+
+// ── Payout addresses ──────────────────────────────────────────────────────────
+// node.coinbase, and pool usernames that are addresses ("ckb1….worker"), are
+// checked up front — a typo there would mine for nobody. An empty
+// node.coinbase is fine: the node's block_assembler is paid.
+function checkPayoutAddresses() {
+  const addresses = [];
+  if (config.node?.coinbase?.trim()) addresses.push(['node.coinbase', config.node.coinbase]);
+  const pools = Array.isArray(config.pools) && config.pools.length ? config.pools : [config.pool];
+  pools.forEach((p, i) => {
+    const account = String(p?.user || '').split('.')[0];
+    if (/^ck[bt]1/i.test(account)) addresses.push([config.pools?.length ? `pools[${i}].user` : 'pool.user', account]);
+  });
+  for (const [key, address] of addresses) {
+    try {
+      const { network, format, script } = parseAddress(address);
+      log('PROXY', `${key}: ${network} ${format} address → ${describeScript(script)}`);
+    } catch (e) {
+      console.error(`[proxy] ${key} "${address}" is not a valid CKB address: ${e.message}`);
+      process.exit(1);
+    }
+  }
+}
+checkPayoutAddresses();
 
+// ── State ─────────────────────────────────────────────────────────────────────
 let minerIdCounter = 0;
 const miners = new Map();
 
+// Share / block history on disk; lifetime totals are reloaded from it
+const store    = createShareStore(config.store);
+const lifetime = store.open().totals;
+
 const totals = {
-  sharesSubmitted : 0,
-  sharesAccepted  : 0,
-  sharesRejected  : 0,
-  blocksFound     : 0,
+  sharesSubmitted : lifetime.sharesSubmitted,
+  sharesAccepted  : lifetime.sharesAccepted,
+  sharesRejected  : lifetime.sharesRejected,
+  sharesDuplicate : lifetime.sharesDuplicate,
+  sharesStale     : lifetime.sharesStale,
+  blocksFound     : lifetime.blocksFound,
   startTime       : Date.now(),
 };
 
-const pendingUpstream = new Map();
-let upstreamRequestId = 100;
-
-// ── Logging ───────────────────────────────────────────────────────────────────
-function log(tag, ...args) {
-  const ts = new Date().toISOString().slice(11, 23);
-  console.log(`[${ts}] [${tag.padEnd(5)}]`, ...args);
-}
-
-// ── Target / difficulty helpers ───────────────────────────────────────────────
-// CKB target is 64-char LE hex.
-// difficulty is an abstract unit: diff=1 ≈ pool base target.
-// We scale the pool target up (easier) to create a local target.
-// poolTarget × (poolDiff / localDiff) = localTarget (bigger = easier).
-// We keep target ≤ 0xFFFF...FF (256 bits).
-
-const MAX256 = (1n << 256n) - 1n;
-
-/** Hex LE string → BigInt (little-endian byte order) */
-function hexLEToBigInt(hex) {
-  if (!hex || hex.length !== 64) return 0n;
-  // reverse bytes for big-endian interpretation
-  let beHex = '';
-  for (let i = 62; i >= 0; i -= 2) beHex += hex.slice(i, i+2);
-  return BigInt('0x' + beHex);
-}
-
-/** BigInt → hex LE string (64 chars) */
-function bigIntToHexLE(n) {
-  if (n <= 0n) return '0'.repeat(64);
-  if (n > MAX256) n = MAX256;
-  let beHex = n.toString(16).padStart(64, '0');
-  let leHex = '';
-  for (let i = 62; i >= 0; i -= 2) leHex += beHex.slice(i, i+2);
-  return leHex;
-}
-
-/** Compute a local target for a given local difficulty, using the pool target as base. */
-function localTargetForDiff(localDiff) {
-  if (!currentTarget || !poolDifficulty || localDiff <= 0) return currentTarget;
-  const poolTargetBig = hexLEToBigInt(currentTarget);
-  // localTarget = poolTarget * (poolDiff / localDiff)
-  // Use BigInt: multiply by poolDiff*1e6, divide by localDiff*1e6 to preserve precision
-  const scale = 1_000_000n;
-  const poolDiffScaled  = BigInt(Math.round(poolDifficulty * 1_000_000));
-  const localDiffScaled = BigInt(Math.round(localDiff      * 1_000_000));
-  let localTarget = (poolTargetBig * poolDiffScaled) / localDiffScaled;
-  if (localTarget > MAX256) localTarget = MAX256;
-  return bigIntToHexLE(localTarget);
-}
-
-// ── Vardiff engine ────────────────────────────────────────────────────────────
-function computeNewDiff(miner) {
-  const now = Date.now();
-  const windowMs = now - miner.vardiff.windowStart;
-  if (windowMs < 1000) return miner.vardiff.currentDiff;
+// Certificate for the TLS listener: configured, or self-signed and kept next to the share store
+let tlsCert = null;
+if (TLS_PORT) {
+  try {
+    tlsCert = loadOrCreateCert({ certFile: config.local?.tlsCert, keyFile: config.local?.tlsKey, dir: store.info().dir });
+  } catch (e) {
+    console.error(`[proxy] TLS certificate: ${e.message}`);
+    process.exit(1);
+  }
+}
 
-  const shareCount = miner.vardiff.sharesInWindow;
-  const actualShareSec = windowMs / 1000 / Math.max(shareCount, 1);
-  const target = VARDIFF.targetShareSec;
-  const variance = VARDIFF.variancePercent / 100;
+// Accepted share difficulty over time, all miners (including ones since disconnected)
+const hashrate = createHashrateMeter();
 
-  // Within tolerance — don't change
-  if (Math.abs(actualShareSec - target) / target <= variance) {
-    return miner.vardiff.currentDiff;
-  }
+// (extranonce2, nonce) pairs already submitted, per job
+const dedup = createShareDedup();
+
+// Live events for GET /events
+const events = createEventStream({
+  historySize     : config.events?.historySize ?? 500,
+  maxClients      : config.events?.maxClients ?? 50,
+  maxBufferedBytes: config.events?.maxBufferedBytes ?? 1 << 20,
+  headers         : CORS_HEADERS,
+});
 
-  // Scale: newDiff = currentDiff * (actualShareSec / targetShareSec)
-  // More shares than expected → actualShareSec < target → diff should go up (× >1 when ratio <1)
-  // Fewer shares than expected → actualShareSec > target → diff should go down (× <1 when ratio >1)
-  let ratio = target / actualShareSec;  // >1 means miner is fast → increase diff
-  // Clamp adjustment to 4× per interval
-  ratio = Math.min(Math.max(ratio, 0.25), 4.0);
+const modeHistory = [];
+const MODE_HISTORY_MAX = 50;
 
-  let newDiff = miner.vardiff.currentDiff * ratio;
-  newDiff = Math.min(Math.max(newDiff, VARDIFF.minDiff), VARDIFF.maxDiff);
+// ── Backends ──────────────────────────────────────────────────────────────────
+const backends = { solo: createSoloBackend(config, { miners }) };
+if (config.pools?.length || config.pool) backends.pool = createPoolBackend(config);
 
-  return newDiff;
+// solo-proxy.js sets CKB_PROXY_MODE so old service files keep their meaning
+const INITIAL_MODE = process.env.CKB_PROXY_MODE || config.mode || 'pool';
+if (!backends[INITIAL_MODE]) {
+  console.error(`[proxy] Mode "${INITIAL_MODE}" is not configured — set "mode" to "pool" or "solo" and fill in its section`);
+  process.exit(1);
+}
+let backend = backends[INITIAL_MODE];
+
+for (const b of Object.values(backends)) {
+  // Events from a stopped backend (late RPC replies, closing sockets) are ignored
+  b.on('job', params => {
+    if (b !== backend || !params) return;
+    if (params[4]) dedup.clear(params[0]);   // clean job — nothing older can be submitted
+    broadcastJob(params);
+    events.publish('job', { mode: b.name, job: params[0], height: params[2], clean: !!params[4] });
+  });
+  b.on('target', () => {
+    if (b !== backend) return;
+    for (const [, miner] of miners) {
+      if (miner.authorized) sendLocalTarget(miner);
+    }
+  });
+  b.on('extranonce', () => {
+    if (b !== backend) return;
+    for (const [, miner] of miners) {
+      if (miner.extranonce1) reassignExtranonce(miner);
+    }
+  });
+  b.on('block', () => {
+    if (b === backend) totals.blocksFound++;
+  });
+  // Every solution sent on, whether or not it was accepted
+  b.on('candidate', info => {
+    store.recordBlock({ mode: b.name, ...info });
+    events.publish('block', { mode: b.name, worker: info.worker, height: info.height ?? null, hash: info.hash ?? null,
+      accepted: info.accepted, reason: info.reason ?? null });
+  });
+  // Upstream pool or node state; the inactive backend is stopped, so everything here is news
+  b.on('upstream', info => events.publish('upstream', { mode: b.name, ...info }));
 }
 
-function checkVardiff(miner) {
-  const now = Date.now();
-  if (now - miner.vardiff.lastRetarget < VARDIFF.retargetSec * 1000) return;
+// Solo blocks are followed on the node until confirmed, orphaned or uncled
+const blockTracker = createBlockTracker({
+  rpc          : backends.solo.rpc,
+  dir          : store.info().dir,
+  confirmations: config.blocks?.confirmations ?? 11,
+  pollSec      : config.blocks?.pollSec       ?? 30,
+});
+backends.solo.on('candidate', info => blockTracker.add(info));
+
+// Tip, network hashrate, block reward, pool fee and price for GET /chain
+let chainInfo;
+try {
+  chainInfo = createChainInfo({ rpc: backends.solo.rpc, config });
+} catch (e) {
+  console.error(`[proxy] ${e.message}`);
+  process.exit(1);
+}
+
+/** A node to ask: one configured under `node`, or solo mode's default local one */
+const hasNode = () => !!config.node || backend === backends.solo;
 
-  const newDiff = computeNewDiff(miner);
-  miner.vardiff.windowStart  = now;
-  miner.vardiff.sharesInWindow = 0;
-  miner.vardiff.lastRetarget = now;
+// 1-minute / 15-minute hashrate, share and difficulty series for GET /history
+const history = createHistory({
+  dir       : store.info().enabled ? store.info().dir : null,
+  maxWorkers: config.history?.maxWorkers ?? 100,
+});
 
-  if (newDiff !== miner.vardiff.currentDiff) {
-    const old = miner.vardiff.currentDiff;
-    miner.vardiff.currentDiff = newDiff;
-    log('VDIFF', `#${miner.id} ${miner.worker}: ${old.toFixed(4)} → ${newDiff.toFixed(4)}`);
-    sendLocalTarget(miner);
+/** End-of-minute difficulties for the history: mean per worker and over all miners */
+async function historySample() {
+  const byWorker = {};
+  for (const m of miners.values()) {
+    if (!m.authorized) continue;
+    (byWorker[m.worker] ||= []).push(m.vardiff.currentDiff);
   }
+  const mean = list => list.reduce((a, b) => a + b, 0) / list.length;
+  const all  = Object.values(byWorker).flat();
+  // Pool mode without a node has nothing to ask, so no RPC error every minute
+  const chain = hasNode() ? await chainInfo.get() : null;
+  return {
+    difficulty       : Object.fromEntries(Object.entries(byWorker).map(([w, list]) => [w, mean(list)])),
+    totalDifficulty  : all.length ? mean(all) : null,
+    networkDifficulty: chain?.network?.difficulty ?? null,
+  };
 }
 
-function sendLocalTarget(miner) {
-  const t = localTargetForDiff(miner.vardiff.currentDiff);
-  if (t) sendToMiner(miner, { id: null, method: 'mining.set_target', params: [t] });
-  // Also send set_difficulty for miners that use it
-  const d = miner.vardiff.currentDiff;
-  if (poolDifficulty != null) {
-    sendToMiner(miner, { id: null, method: 'mining.set_difficulty', params: [d] });
+// ── Vardiff ───────────────────────────────────────────────────────────────────
+function retarget(miner) {
+  if (miner.fixedDiff != null) {
+    miner.vardiff.sharesInWindow = 0;
+    return;
   }
+  const old = miner.vardiff.currentDiff;
+  const newDiff = checkVardiff(miner.vardiff, miner.diffSettings);
+  if (newDiff == null) return;
+  log('VDIFF', `#${miner.id} ${miner.worker}: ${old.toFixed(4)} → ${newDiff.toFixed(4)}`);
+  events.publish('vardiff', { miner: miner.id, worker: miner.worker, from: old, to: newDiff });
+  sendLocalTarget(miner);
 }
 
-// ── Upstream connection ───────────────────────────────────────────────────────
-function connectUpstream() {
-  log('UP', `Connecting to ${UPSTREAM_HOST}:${UPSTREAM_PORT}...`);
-  upstream    = new net.Socket();
-  upstreamBuf = '';
-  upstreamReady = false;
+// Retarget on a timer as well as on shares, so a miner whose difficulty is too
+// high to ever submit is brought down
+setInterval(() => {
+  for (const m of miners.values()) {
+    if (m.authorized) retarget(m);
+  }
+}, 5000).unref();
 
-  upstream.connect(UPSTREAM_PORT, UPSTREAM_HOST, () => {
-    log('UP', 'Connected');
-    reconnectDelay = 2000;
-    subscribeUpstream();
-  });
+function sendLocalTarget(miner) {
+  const t = backend.targetForDiff(miner.vardiff.currentDiff);
+  if (miner.protocol === 'sv2') {
+    if (t) sendSv2(miner, 'SetTarget', { channel_id: miner.id, maximum_target: t });
+    return;
+  }
+  if (t) sendToMiner(miner, { id: null, method: 'mining.set_target', params: [t] });
+  // Also send set_difficulty for miners that use it (Goldshell/intminer)
+  if (backend.usesDifficulty()) {
+    sendToMiner(miner, { id: null, method: 'mining.set_difficulty', params: [miner.vardiff.currentDiff] });
+  }
+}
 
-  upstream.on('data', data => {
-    upstreamBuf += data.toString();
-    let nl;
-    while ((nl = upstreamBuf.indexOf('\n')) !== -1) {
-      const line = upstreamBuf.slice(0, nl).trim();
-      upstreamBuf = upstreamBuf.slice(nl + 1);
-      if (line) handleUpstreamMessage(line);
-    }
-  });
+// ── Extranonce ────────────────────────────────────────────────────────────────
+/**
+ * Give the miner the slice the active backend wants it on. Miners that sent
+ * mining.extranonce.subscribe are told with mining.set_extranonce (SV2 ones
+ * with SetExtranoncePrefix); the rest can't be moved in place, so they are
+ * asked to reconnect and disconnected, and pick up the new slice on subscribe.
+ */
+function reassignExtranonce(miner) {
+  const slice = backend.extranonce(miner, miner.extranonce1);
+  if (!slice) {
+    log('MINER', `#${miner.id} (${miner.worker}) no free extranonce slice on ${backend.name} — disconnecting`);
+    miner.socket.end();
+    return;
+  }
+  const { extranonce1, extranonce2Size } = slice;
+  if (extranonce1 === miner.extranonce1 && extranonce2Size === miner.extranonce2Size) return;
+
+  miner.extranonce1     = extranonce1;
+  miner.extranonce2Size = extranonce2Size;
+  if (miner.protocol === 'sv2') {
+    sendSv2(miner, 'SetExtranoncePrefix', { channel_id: miner.id, extranonce_prefix: extranonce1 });
+    log('SV2', `#${miner.id} extranonce prefix → ${extranonce1}`);
+  } else if (miner.extranonceSubscribed) {
+    sendToMiner(miner, { id: null, method: 'mining.set_extranonce', params: [extranonce1, extranonce2Size] });
+    log('MINER', `#${miner.id} set_extranonce en1=${extranonce1} en2sz=${extranonce2Size}`);
+  } else {
+    log('MINER', `#${miner.id} (${miner.worker}) extranonce moved to ${extranonce1} without mining.extranonce.subscribe — reconnecting it`);
+    sendToMiner(miner, { id: null, method: 'client.reconnect', params: [] });
+    miner.socket.end();
+  }
+}
 
-  upstream.on('close', () => {
-    log('UP', `Disconnected — reconnecting in ${reconnectDelay / 1000}s`);
-    upstreamReady = false;
-    upstream = null;
-    setTimeout(connectUpstream, reconnectDelay);
-    reconnectDelay = Math.min(reconnectDelay * 2, 60000);
-  });
+// ── Mode switching ────────────────────────────────────────────────────────────
+/**
+ * switchMode(mode, reason) → true if the job source changed
+ * Miner sockets stay open: each gets a fresh target and, once the new backend
+ * has work, a clean mining.notify.
+ */
+function switchMode(mode, reason) {
+  if (!backends[mode]) throw new Error(`mode "${mode}" is not configured`);
+  if (backends[mode] === backend) return false;
+
+  const prev = backend;
+  prev.stop();
+  backend = backends[mode];
+  dedup.reset();
+
+  modeHistory.push({ time: Date.now(), from: prev.name, to: mode, reason });
+  if (modeHistory.length > MODE_HISTORY_MAX) modeHistory.shift();
+  log('MODE', `${prev.name} → ${mode} (${reason})`);
+  events.publish('mode', { from: prev.name, to: mode, reason });
+
+  backend.start();
+  for (const [, miner] of miners) {
+    if (miner.authorized) sendLocalTarget(miner);
+  }
+  return true;
+}
 
-  upstream.on('error', err => log('UP', 'Error:', err.message));
+// ── Broadcast ─────────────────────────────────────────────────────────────────
+// Difficulties remembered per miner, one per job sent (more than the backends keep jobs for)
+const JOB_DIFFS_MAX = 16;
+
+function sendJob(miner, params) {
+  miner.jobDiffs.delete(params[0]);
+  miner.jobDiffs.set(params[0], miner.vardiff.currentDiff);
+  if (miner.jobDiffs.size > JOB_DIFFS_MAX) miner.jobDiffs.delete(miner.jobDiffs.keys().next().value);
+  if (miner.protocol === 'sv2') sendSv2Job(miner, params);
+  else sendToMiner(miner, { id: null, method: 'mining.notify', params });
 }
 
-function sendUpstream(obj) {
-  if (!upstream?.writable) return false;
-  upstream.write(JSON.stringify(obj) + '\n');
-  return true;
+function broadcastJob(params) {
+  for (const [, miner] of miners) {
+    if (miner.authorized) sendJob(miner, params);
+  }
 }
 
-function subscribeUpstream() {
-  const id = upstreamRequestId++;
-  sendUpstream({ id, method: 'mining.subscribe', params: ['ckb-stratum-proxy/1.1'] });
-  pendingUpstream.set(id, { type: 'subscribe' });
+// ── Share history ─────────────────────────────────────────────────────────────
+// Share counts for /metrics since start; reasons are fixed labels, not pool-supplied text
+const SHARE_REASONS = { 20: 'other', 21: 'stale', 22: 'duplicate', 23: 'low_difficulty', 24: 'unauthorized', 25: 'not_subscribed' };
+const shareCounts = createCounterSet(['worker', 'result', 'reason']);
+const shareWork   = createCounterSet(['worker']);
+
+// Worker names come from miners; past metrics.maxWorkers the rest share the
+// label "other", so a client cycling names can't grow /metrics without bound
+const METRICS_MAX_WORKERS = config.metrics?.maxWorkers ?? 100;
+const metricsWorkers = new Set();
+
+function metricsWorker(worker) {
+  if (metricsWorkers.has(worker)) return worker;
+  if (metricsWorkers.size >= METRICS_MAX_WORKERS) return 'other';
+  metricsWorkers.add(worker);
+  return worker;
 }
 
-function authorizeUpstream() {
-  const id = upstreamRequestId++;
-  sendUpstream({ id, method: 'mining.authorize', params: [UPSTREAM_USER, UPSTREAM_PASS] });
-  pendingUpstream.set(id, { type: 'authorize' });
+function recordShare(miner, jobId, receivedAt, { result, error, localOnly }, diff = miner.vardiff.currentDiff) {
+  const outcome = !result ? 'rejected' : localOnly ? 'local' : 'accepted';
+  const worker  = metricsWorker(miner.worker);
+  shareCounts.inc([worker, outcome, result ? 'none' : SHARE_REASONS[error?.[0]] || 'other']);
+  if (result) shareWork.inc([worker], diff);
+  history.recordShare(miner.worker, !!result, diff);
+  events.publish('share', { miner: miner.id, worker: miner.worker, job: jobId ?? null, diff, result: outcome,
+    ...(result ? {} : { code: error?.[0] ?? null, reason: error?.[1] ?? null }) });
+  store.recordShare({
+    mode     : backend.name,
+    miner    : miner.id,
+    worker   : miner.worker,
+    job      : jobId ?? null,
+    diff,
+    result   : outcome,
+    ...(result ? {} : { code: error?.[0] ?? null, reason: error?.[1] ?? null }),
+    latencyMs: Date.now() - receivedAt,
+  });
 }
 
-function handleUpstreamMessage(line) {
-  let msg;
-  try { msg = JSON.parse(line); } catch { log('UP', 'Bad JSON:', line.slice(0,80)); return; }
+// ── Shares ────────────────────────────────────────────────────────────────────
+/**
+ * handleShare(miner, { jobId, en2, ntime, nonce }) → Promise<{ result, error, diff }>
+ * Everything a share goes through whichever listener it came from: duplicate
+ * check, the backend, counters, hashrate, the share store and, once accepted, vardiff.
+ */
+async function handleShare(miner, { jobId, en2, ntime, nonce }) {
+  const receivedAt = Date.now();
+  totals.sharesSubmitted++;
+  miner.sharesSubmitted++;
+
+  if (!miner.authorized) {
+    totals.sharesRejected++;
+    miner.sharesRejected++;
+    recordShare(miner, jobId, receivedAt, { result: false, error: [24, 'Unauthorized worker', null] });
+    guard.penalize(miner.socket.remoteAddress, 24);
+    return { result: false, error: [24, 'Unauthorized worker', null] };
+  }
 
-  // Response to one of our requests
-  if (msg.id != null && pendingUpstream.has(msg.id)) {
-    const ctx = pendingUpstream.get(msg.id);
-    pendingUpstream.delete(msg.id);
-    handleUpstreamResponse(ctx, msg);
-    return;
+  if (!miner.extranonce1) {
+    totals.sharesRejected++;
+    miner.sharesRejected++;
+    recordShare(miner, jobId, receivedAt, { result: false, error: [25, 'Not subscribed', null] });
+    guard.penalize(miner.socket.remoteAddress, 25);
+    return { result: false, error: [25, 'Not subscribed', null] };
   }
 
-  // Response to a forwarded miner share
-  if (msg.id != null) {
-    for (const [, miner] of miners) {
-      if (miner.pendingShares.has(msg.id)) {
-        const { originalId } = miner.pendingShares.get(msg.id);
-        miner.pendingShares.delete(msg.id);
-        if (msg.result === true) {
-          totals.sharesAccepted++;
-          totals.blocksFound++;   // solo mode: accepted share = block found
-          miner.sharesAccepted++;
-          log('SHARE', `✓ 🎉 BLOCK FOUND! pool accepted from ${miner.worker}`);
-          sendToMiner(miner, { id: originalId, result: true, error: null });
-        } else {
-          totals.sharesRejected++;
-          miner.sharesRejected++;
-          log('SHARE', `✗ pool rejected from ${miner.worker}:`, JSON.stringify(msg.error));
-          sendToMiner(miner, { id: originalId, result: false, error: msg.error });
-        }
-        return;
-      }
+  // Duplicates are judged on extranonce1, extranonce2 and the nonce that gets
+  // hashed: a short nonce is the same share only under the same extranonce2
+  const fullNonce = backend.fullNonce(miner, en2, nonce);
+  if (!fullNonce) {
+    totals.sharesRejected++;
+    miner.sharesRejected++;
+    log('SHARE', `#${miner.id} nonce outside its range (${miner.worker}) en2=${en2} nonce=${nonce}`);
+    recordShare(miner, jobId, receivedAt, { result: false, error: [20, 'Invalid nonce', null] });
+    return { result: false, error: [20, 'Invalid nonce', null] };
+  }
+
+  const shareKey = `${miner.extranonce1}:${String(en2 || '').replace(/^0x/, '').toLowerCase()}:${fullNonce}`;
+  if (dedup.seen(jobId, shareKey)) {
+    totals.sharesRejected++;
+    totals.sharesDuplicate++;
+    miner.sharesRejected++;
+    miner.sharesDuplicate++;
+    log('SHARE', `#${miner.id} duplicate share (${miner.worker}) job=${jobId} nonce=${nonce}`);
+    recordShare(miner, jobId, receivedAt, { result: false, error: [22, 'Duplicate share', null] });
+    guard.penalize(miner.socket.remoteAddress, 22);
+    return { result: false, error: [22, 'Duplicate share', null] };
+  }
+
+  const shareDiff   = shareDifficulty(miner, jobId);
+  const localTarget = backend.targetForDiff(shareDiff);
+  let outcome;
+  try {
+    outcome = await backend.submit(miner, { jobId, en2, ntime, nonce }, localTarget);
+  } catch (e) {
+    dedup.forget(jobId, shareKey);
+    throw e;
+  }
+  const { result, error, localOnly, stale } = outcome;
+  if (result) {
+    miner.hashrate.record(shareDiff);
+    hashrate.record(shareDiff);
+    miner.sharesAccepted++;
+    if (localOnly) miner.sharesLocalOnly++;
+    else totals.sharesAccepted++;
+    if (!localOnly) log('SHARE', `#${miner.id} share accepted (${miner.worker})`);
+  } else {
+    dedup.forget(jobId, shareKey);   // a rejected share may be retried
+    totals.sharesRejected++;
+    miner.sharesRejected++;
+    if (stale) {
+      totals.sharesStale++;
+      miner.sharesStale++;
     }
   }
+  recordShare(miner, jobId, receivedAt, { result, error, localOnly }, shareDiff);
+  if (!result) guard.penalize(miner.socket.remoteAddress, error?.[0]);
+  // Only accepted shares feed vardiff, so rejected ones can't push the difficulty up
+  if (result) {
+    recordVardiffShare(miner.vardiff, miner.diffSettings, receivedAt);
+    retarget(miner);
+  }
+  return { result, error, diff: shareDiff };
+}
 
-  // Notifications
-  switch (msg.method) {
-    case 'mining.notify':
-      currentJob = msg.params;
-      currentJobTime = Date.now();
-      log('POOL', `Job ${msg.params[0]} height=${msg.params[2]}`);
-      broadcastToMiners({ id: null, method: 'mining.notify', params: currentJob });
-      break;
+/**
+ * The difficulty a share is held to: the one in force when its job was sent,
+ * or the current one if lower. A raise applies from the next job, so shares
+ * the miner was already working on aren't rejected as low difficulty (and
+ * don't count towards a ban).
+ */
+function shareDifficulty(miner, jobId) {
+  const sent = miner.jobDiffs.get(jobId);
+  return sent == null ? miner.vardiff.currentDiff : Math.min(sent, miner.vardiff.currentDiff);
+}
 
-    case 'mining.set_target':
-      currentTarget = msg.params[0];
-      log('POOL', `set_target → ${currentTarget.slice(0,16)}...`);
-      // Don't relay pool target directly — send each miner their vardiff target
-      for (const [, miner] of miners) {
-        if (miner.authorized) sendLocalTarget(miner);
-      }
-      break;
+/**
+ * Worker name → difficulty rules: a "+diff" suffix or a vardiff.workers
+ * entry may fix it or pick a vardiff profile. The policy's name is the
+ * worker without the suffix; it is applied only once that name is authorized,
+ * so a refused re-authorize leaves the miner's difficulty alone.
+ */
+function workerPolicy(worker) {
+  return difficultyPolicy(worker, VARDIFF, VARDIFF_WORKERS);
+}
 
-    case 'mining.set_difficulty':
-      poolDifficulty = msg.params[0];
-      log('POOL', `set_difficulty → ${poolDifficulty}`);
-      for (const [, miner] of miners) {
-        if (miner.authorized) sendLocalTarget(miner);
-      }
-      break;
+function applyDifficultyPolicy(miner, policy) {
+  miner.diffProfile  = policy.settings;
+  miner.diffSettings = policy.settings;
+  miner.fixedDiff    = policy.fixedDiff;
+  miner.diffSource   = policy.source;
+  miner.adminDiff    = null;
+  applySuggestedDiff(miner);
+}
 
-    default:
-      log('UP', `Unhandled: ${msg.method}`);
-  }
-}
-
-function handleUpstreamResponse(ctx, msg) {
-  if (ctx.type === 'subscribe') {
-    if (!msg.result) { log('UP', 'Subscribe FAILED:', msg.error); return; }
-    poolExtranonce1     = msg.result[1] || '';
-    poolExtranonce2Size = msg.result[2] || 8;
-    log('UP', `Subscribed: en1=${poolExtranonce1} en2sz=${poolExtranonce2Size}`);
-    authorizeUpstream();
-  } else if (ctx.type === 'authorize') {
-    if (msg.result) {
-      log('UP', `Authorized as ${UPSTREAM_USER}`);
-      upstreamReady = true;
-    } else {
-      log('UP', 'Auth FAILED:', msg.error);
-    }
+/**
+ * A difficulty the miner suggested becomes its vardiff floor (clamped to the
+ * profile's min / max). Fixed difficulties ignore suggestions.
+ */
+function applySuggestedDiff(miner) {
+  if (miner.suggestedDiff == null || miner.fixedDiff != null) return false;
+  const floor = clampDiff(miner.suggestedDiff, miner.diffProfile);
+  miner.diffSettings = { ...miner.diffProfile, minDiff: floor };
+  miner.diffSource   = 'suggested';
+  return true;
+}
+
+/** Starting difficulty for a newly authorized miner */
+function setInitialDiff(miner) {
+  const settings = miner.diffSettings;
+  if (miner.fixedDiff != null) {
+    setVardiff(miner.vardiff, miner.fixedDiff);
+  } else if (miner.diffSource === 'suggested') {
+    setVardiff(miner.vardiff, settings.minDiff);
+  } else if (settings.initialDiff != null) {
+    setVardiff(miner.vardiff, settings.initialDiff);
+  } else if (backend.initialDiff() != null) {
+    setVardiff(miner.vardiff, clampDiff(backend.initialDiff(), settings));
   }
 }
 
-// ── Extranonce allocation ─────────────────────────────────────────────────────
-function minerExtranonce(minerId) {
-  const suffix = (minerId & 0xff).toString(16).padStart(2, '0');
+function newMiner(socket, protocol, secure = false) {
+  const now = Date.now();
   return {
-    extranonce1    : poolExtranonce1 + suffix,
-    extranonce2Size: Math.max(1, poolExtranonce2Size - 1),
+    id                  : minerIdCounter++,
+    socket,
+    protocol,
+    tls                 : secure,
+    authorized          : false,
+    worker              : 'unknown',
+    authFailures        : 0,
+    buf                 : '',
+    extranonce1         : null,
+    extranonce2Size     : 0,
+    extranonceSubscribed: false,
+    sharesSubmitted     : 0,
+    sharesAccepted      : 0,
+    sharesRejected      : 0,
+    sharesDuplicate     : 0,
+    sharesStale         : 0,
+    sharesLocalOnly     : 0,
+    connectedAt         : now,
+    lastActivity        : now,
+    hashrate            : createHashrateMeter(now),
+    vardiff             : newVardiffState(VARDIFF, now),
+    diffProfile         : VARDIFF,    // vardiff settings for this worker
+    diffSettings        : VARDIFF,    // the same, with a suggested difficulty as floor
+    fixedDiff           : null,   // set by a "+diff" username or vardiff.workers
+    suggestedDiff       : null,   // from mining.suggest_difficulty / suggest_target
+    diffSource          : 'vardiff',
+    adminDiff           : null,   // rules to go back to while an admin-forced difficulty is in force
+    jobDiffs            : new Map(),   // job id → difficulty in force when it was sent, newest last
   };
 }
 
-function buildFullExtranonce2(miner, minerEn2) {
-  return (miner.id & 0xff).toString(16).padStart(2, '0') + minerEn2;
+/** Track a new connection */
+function addMiner(miner) {
+  miners.set(miner.id, miner);
+  events.publish('connect', { miner: miner.id, protocol: miner.protocol, tls: miner.tls, ip: plainIp(miner.socket.remoteAddress) });
 }
 
-// ── Broadcast ─────────────────────────────────────────────────────────────────
-function broadcastToMiners(obj) {
-  for (const [, miner] of miners) {
-    if (miner.authorized) sendToMiner(miner, obj);
+/** A closed connection: forget the miner and free its extranonce slice in every backend */
+function releaseMiner(miner) {
+  miners.delete(miner.id);
+  for (const b of Object.values(backends)) b.release(miner);
+  events.publish('disconnect', { miner: miner.id, worker: miner.worker, protocol: miner.protocol,
+    sharesAccepted: miner.sharesAccepted, sharesRejected: miner.sharesRejected });
+}
+
+/**
+ * Check a worker against auth.mode; a username that isn't a non-empty string
+ * is refused whatever the mode. On failure the attempt is logged and counted,
+ * refuse() sends the protocol's error, and the connection is closed once it
+ * has failed too often.
+ */
+function authorizeMiner(miner, worker, password, refuse) {
+  const named  = typeof worker === 'string' && worker !== '';
+  const reason = named ? access.checkWorker(worker, password) : 'no worker name';
+  if (!reason) return true;
+  const name = named ? worker : '';
+  miner.authFailures++;
+  access.recordFailure(miner.socket.remoteAddress, name, reason);
+  log('AUTH', `#${miner.id} ${miner.socket.remoteAddress} refused as "${name}": ${reason} (${miner.authFailures}/${access.maxFailures})`);
+  refuse();
+  if (guard.penalize(miner.socket.remoteAddress, 'authFailure')) return false;
+  if (miner.authFailures >= access.maxFailures) {
+    log('AUTH', `#${miner.id} too many failed authorizations — disconnecting`);
+    miner.socket.end();
   }
+  return false;
+}
+
+/**
+ * IP allow / deny, ban and connection-cap checks for a new connection. A
+ * refused socket is closed here; an admitted one is released when it closes.
+ */
+function admitConnection(socket, listener) {
+  const ip = socket.remoteAddress;
+  if (!access.allowIp(ip)) {
+    log('AUTH', `${listener} connection from ${ip} refused by auth.allow / auth.deny`);
+    socket.destroy();
+    return false;
+  }
+  const refused = guard.admit(ip);
+  if (refused) {
+    log('GUARD', `${listener} connection from ${ip} refused: ${refused}`);
+    socket.destroy();
+    return false;
+  }
+  socket.once('close', () => guard.release(ip));
+  return true;
+}
+
+/** Close a miner's connection for misbehaving; penalizes its address first if `offence` is given. */
+function dropMiner(miner, why, offence) {
+  log('GUARD', `#${miner.id} (${miner.worker}) ${miner.socket.remoteAddress}: ${why} — disconnecting`);
+  if (offence) guard.penalize(miner.socket.remoteAddress, offence);
+  miner.socket.destroy();
 }
 
 // ── Miner server ──────────────────────────────────────────────────────────────
@@ -336,91 +674,77 @@ function sendToMiner(miner, obj) {
 
 function handleMinerMessage(miner, line) {
   let msg;
-  try { msg = JSON.parse(line); } catch { return; }
+  try { msg = JSON.parse(line); } catch { msg = null; }
+  if (!msg || typeof msg !== 'object') {
+    log('GUARD', `#${miner.id} malformed message: ${line.slice(0, 80)}`);
+    guard.penalize(miner.socket.remoteAddress, 'malformed');
+    return;
+  }
+  // A missing params field is read as []; anything but an array is malformed
+  const params = msg.params ?? [];
+  if (!Array.isArray(params)) {
+    log('GUARD', `#${miner.id} malformed ${msg.method}: params is not an array`);
+    sendToMiner(miner, { id: msg.id ?? null, result: null, error: [20, 'Malformed message', null] });
+    guard.penalize(miner.socket.remoteAddress, 'malformed');
+    return;
+  }
 
   switch (msg.method) {
 
     case 'mining.subscribe': {
-      const { extranonce1, extranonce2Size } = minerExtranonce(miner.id);
+      // extranonce1 doubles as the session ID; Goldshell intminer sends it back
+      // in params[1] on reconnect and gets the same slice if it's still free
+      const slice = backend.extranonce(miner, params[1]);
+      if (!slice) {
+        sendToMiner(miner, { id: msg.id, result: null, error: [20, 'Proxy full — no free extranonce', null] });
+        log('MINER', `#${miner.id} refused: every extranonce slice is in use`);
+        miner.socket.end();
+        break;
+      }
+      const { extranonce1, extranonce2Size } = slice;
+      miner.extranonce1     = extranonce1;
       miner.extranonce2Size = extranonce2Size;
-      sendToMiner(miner, { id: msg.id, result: [null, extranonce1, extranonce2Size], error: null });
+      sendToMiner(miner, {
+        id: msg.id,
+        result: [
+          [['mining.set_difficulty', extranonce1], ['mining.notify', extranonce1]],
+          extranonce1,
+          extranonce2Size,
+        ],
+        error: null,
+      });
       log('MINER', `#${miner.id} subscribed (en1=${extranonce1} en2sz=${extranonce2Size})`);
       break;
     }
 
     case 'mining.authorize': {
-      miner.worker     = msg.params[0] || 'unknown';
+      const [username, password] = params;
+      const policy = workerPolicy(username);
+      const refuse = () => sendToMiner(miner, { id: msg.id, result: false, error: [24, 'Unauthorized worker', null] });
+      if (!authorizeMiner(miner, policy.name, password, refuse)) break;
+      applyDifficultyPolicy(miner, policy);
+      miner.worker     = policy.name;
       miner.authorized = true;
       sendToMiner(miner, { id: msg.id, result: true, error: null });
       log('MINER', `#${miner.id} authorized as ${miner.worker}`);
 
-      // Determine initial difficulty
-      if (VARDIFF.initialDiff != null) {
-        miner.vardiff.currentDiff = VARDIFF.initialDiff;
-      } else if (poolDifficulty != null) {
-        miner.vardiff.currentDiff = poolDifficulty;
-      }
+      setInitialDiff(miner);
 
       // Send current mining state
-      if (currentTarget || poolDifficulty != null) sendLocalTarget(miner);
-      if (currentJob) sendToMiner(miner, { id: null, method: 'mining.notify', params: currentJob });
+      sendLocalTarget(miner);
+      const job = backend.notifyParams();
+      if (job) sendJob(miner, job);
       break;
     }
 
     case 'mining.submit': {
-      totals.sharesSubmitted++;
-      miner.sharesSubmitted++;
-      miner.vardiff.sharesInWindow++;
-      checkVardiff(miner);
-
-      const [workerName, jobId, en2, ntime, nonce] = msg.params;
-      const fullEn2 = buildFullExtranonce2(miner, en2);
-
-      // Validate share against the local (easy) target — accept for stats
-      let localAccept = true;
-      let meetsPool   = false;
-
-      if (currentJob && currentTarget && nonce) {
-        const powHash = currentJob[1];   // hex string
-        // Reconstruct full nonce: extranonce1+suffix+en2 || nonce_from_miner
-        // CKB nonce layout: bytes 0-7 = counter (from miner nonce field), bytes 8-15 = extranonce
-        // ViaBTC stratum: nonce submitted as 32-char hex (16 bytes)
-        try {
-          const hash = hashCKB(powHash, nonce.padStart(32, '0'));
-
-          // Check pool target
-          meetsPool = meetsTarget(hash, currentTarget);
-
-          // Check local (vardiff) target
-          const localTarget = localTargetForDiff(miner.vardiff.currentDiff);
-          localAccept = localTarget ? meetsTarget(hash, localTarget) : true;
-
-          if (!localAccept) {
-            log('SHARE', `#${miner.id} stale/low-diff share (below local target)`);
-            sendToMiner(miner, { id: msg.id, result: false, error: [23, 'Low difficulty share', null] });
-            return;
-          }
-        } catch (e) {
-          log('SHARE', `#${miner.id} validation error: ${e.message} — forwarding anyway`);
-          meetsPool = true;  // forward on error, let pool decide
-        }
-      } else {
-        meetsPool = true;  // no job/target yet, forward
-      }
-
-      if (meetsPool) {
-        // Forward to pool
-        const upId = upstreamRequestId++;
-        miner.pendingShares.set(upId, { originalId: msg.id });
-        sendUpstream({ id: upId, method: 'mining.submit', params: [UPSTREAM_USER, jobId, fullEn2, ntime, nonce] });
-        log('SHARE', `#${miner.id} → pool (job=${jobId})`);
-      } else {
-        // Local accept only — counts for hashrate, not forwarded
-        miner.sharesLocalOnly++;
-        miner.sharesAccepted++;  // count locally for display
-        log('SHARE', `#${miner.id} local accept (below pool diff, not forwarded)`);
-        sendToMiner(miner, { id: msg.id, result: true, error: null });
-      }
+      const [, jobId, en2, ntime, nonce] = params;
+      handleShare(miner, { jobId, en2, ntime, nonce })
+        .then(({ result, error }) => sendToMiner(miner, { id: msg.id, result, error }))
+        .catch(e => {
+          log('SHARE', `#${miner.id} share failed: ${e.stack || e.message}`);
+          sendToMiner(miner, { id: msg.id, result: false, error: [20, 'Internal error', null] });
+        });
       break;
     }
 
@@ -429,57 +753,72 @@ function handleMinerMessage(miner, line) {
       break;
 
     case 'mining.extranonce.subscribe':
+      miner.extranonceSubscribed = true;
+      sendToMiner(miner, { id: msg.id, result: true, error: null });
+      break;
+
+    case 'mining.suggest_difficulty':
+    case 'mining.suggest_target': {
+      // Usually sent before authorize; kept and applied once the worker's rules are known
+      const raw  = params[0];
+      const diff = msg.method === 'mining.suggest_target'
+        ? targetToDiff(raw, backend.targetForDiff(1) || undefined)
+        : Number(raw);
+      if (!(diff > 0) || !Number.isFinite(diff)) {
+        const what = msg.method === 'mining.suggest_target' ? 'Invalid target' : 'Invalid difficulty';
+        sendToMiner(miner, { id: msg.id, result: false, error: [20, what, null] });
+        break;
+      }
+      miner.suggestedDiff = diff;
       sendToMiner(miner, { id: msg.id, result: true, error: null });
+      log('VDIFF', `#${miner.id} suggests difficulty ${diff}`);
+      if (miner.authorized && applySuggestedDiff(miner)) {
+        setVardiff(miner.vardiff, miner.diffSettings.minDiff);
+        sendLocalTarget(miner);
+      }
       break;
+    }
 
     default:
       log('MINER', `#${miner.id} unhandled: ${msg.method}`);
   }
 }
 
-const minerServer = net.createServer(socket => {
-  const id    = minerIdCounter++;
-  const now   = Date.now();
-  const miner = {
-    id,
-    socket,
-    authorized     : false,
-    worker         : 'unknown',
-    buf            : '',
-    sharesSubmitted: 0,
-    sharesAccepted : 0,
-    sharesRejected : 0,
-    sharesLocalOnly: 0,
-    connectedAt    : now,
-    extranonce2Size: 0,
-    pendingShares  : new Map(),
-    vardiff: {
-      currentDiff   : VARDIFF.initialDiff ?? 1.0,
-      windowStart   : now,
-      sharesInWindow: 0,
-      lastRetarget  : now,
-    },
-  };
-  miners.set(id, miner);
-  log('MINER', `#${id} connected from ${socket.remoteAddress}:${socket.remotePort}`);
+function onMinerConnection(socket, secure) {
+  if (!admitConnection(socket, secure ? 'TLS' : 'Stratum')) return;
+  const miner = newMiner(socket, 'v1', secure);
+  const id    = miner.id;
+  addMiner(miner);
+  log('MINER', `#${id} connected from ${socket.remoteAddress}:${socket.remotePort}${secure ? ` (${socket.getProtocol()})` : ''}`);
 
   socket.on('data', data => {
+    miner.lastActivity = Date.now();
     miner.buf += data.toString();
     let nl;
-    while ((nl = miner.buf.indexOf('\n')) !== -1) {
+    while (socket.writable && (nl = miner.buf.indexOf('\n')) !== -1) {
       const line = miner.buf.slice(0, nl).trim();
       miner.buf  = miner.buf.slice(nl + 1);
-      if (line) handleMinerMessage(miner, line);
+      if (line.length > guard.settings.maxLineBytes) return dropMiner(miner, `line of ${line.length} bytes`, 'oversize');
+      if (!line) continue;
+      // A message that throws costs only its own connection
+      try { handleMinerMessage(miner, line); } catch (e) {
+        log('MINER', `#${id} ${e.stack || e.message}`);
+        return dropMiner(miner, 'message handling failed');
+      }
     }
+    // No newline yet — don't let a client grow the buffer without bound
+    if (miner.buf.length > guard.settings.maxLineBytes) dropMiner(miner, `${miner.buf.length} bytes without a newline`, 'oversize');
   });
 
   socket.on('close', () => {
     log('MINER', `#${id} (${miner.worker}) disconnected`);
-    miners.delete(id);
+    releaseMiner(miner);
   });
 
   socket.on('error', err => log('MINER', `#${id} error: ${err.message}`));
-});
+}
+
+const minerServer = net.createServer(socket => onMinerConnection(socket, false));
 
 minerServer.on('error', err => {
   if (err.code === 'EADDRINUSE') {
@@ -489,115 +828,284 @@ minerServer.on('error', err => {
   throw err;
 });
 
-// ── Stats HTTP ────────────────────────────────────────────────────────────────
-function fmtUptime(sec) {
-  const h = Math.floor(sec / 3600), m = Math.floor(sec % 3600 / 60), s = sec % 60;
-  return `${h}h ${m}m ${s}s`;
+// Same Stratum v1 protocol, inside TLS
+const tlsServer = tlsCert && tls.createServer({ key: tlsCert.key, cert: tlsCert.cert }, socket => onMinerConnection(socket, true));
+
+if (tlsServer) {
+  tlsServer.on('tlsClientError', (err, socket) => {
+    log('MINER', `TLS handshake from ${socket.remoteAddress} failed: ${err.message}`);
+  });
+  tlsServer.on('error', err => {
+    // TLS is optional — plain miners keep working without it
+    log('ERROR', `TLS listener on port ${TLS_PORT} failed: ${err.message}`);
+  });
 }
-function fmtHps(hps) {
-  if (!hps || hps === 0) return '0 H/s';
-  if (hps >= 1e12) return (hps/1e12).toFixed(2) + ' TH/s';
-  if (hps >= 1e9)  return (hps/1e9).toFixed(2) + ' GH/s';
-  if (hps >= 1e6)  return (hps/1e6).toFixed(2) + ' MH/s';
-  if (hps >= 1e3)  return (hps/1e3).toFixed(2) + ' KH/s';
-  return hps.toFixed(0) + ' H/s';
+
+// ── Stratum V2 server ─────────────────────────────────────────────────────────
+// Standard channels only, one per connection, channel_id = miner id. Shares
+// go through handleShare like v1 ones; the full nonce is split back into the
+// miner's extranonce2 so dedup and the backends see the same share.
+const SV2_ERRORS = { 21: 'stale-share', 22: 'duplicate-share', 23: 'difficulty-too-low', 25: 'invalid-channel-id' };
+const SV2_JOB_IDS = 32;      // backend jobs a u32 SV2 job id is kept for
+const sv2JobIds = [];        // [sv2 job id, backend job id], oldest first
+let sv2JobCounter = 0;
+
+/** SV2 job ids are u32; backend ones are strings */
+function sv2JobId(jobId) {
+  const known = sv2JobIds.find(([, j]) => j === jobId);
+  if (known) return known[0];
+  sv2JobCounter = (sv2JobCounter + 1) >>> 0;
+  sv2JobIds.push([sv2JobCounter, jobId]);
+  if (sv2JobIds.length > SV2_JOB_IDS) sv2JobIds.shift();
+  return sv2JobCounter;
 }
 
-const statsServer = http.createServer((req, res) => {
-  if (req.url === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ ok: true, miners: miners.size, upstreamReady }));
-    return;
+function backendJobId(id) {
+  return sv2JobIds.find(([n]) => n === id)?.[1] ?? null;
+}
+
+function sendSv2(miner, name, fields) {
+  if (!miner.socket?.writable) return;
+  try {
+    miner.socket.write(sv2.encode(name, fields));
+  } catch (e) {
+    log('SV2', `#${miner.id} ${name} not sent: ${e.message}`);
   }
+}
 
-  /* ── Dashboard HTML ── */
-  if (req.url === '/' || req.url === '/dashboard') {
-    const fs = require('fs');
-    const html = fs.readFileSync(__dirname + '/dashboard.html', 'utf8');
-    res.writeHead(200, { 'Content-Type': 'text/html' });
-    res.end(html);
-    return;
+/** A clean job is sent as a future job and activated by SetNewPrevHash, which drops older ones. */
+function sendSv2Job(miner, [jobId, powHash, , , clean]) {
+  const job_id = sv2JobId(jobId);
+  const now    = Math.floor(Date.now() / 1000);
+  sendSv2(miner, 'NewMiningJob', { channel_id: miner.id, job_id, min_ntime: clean ? null : now, version: 0, pow_hash: powHash });
+  if (clean) {
+    sendSv2(miner, 'SetNewPrevHash', { channel_id: miner.id, job_id, prev_hash: '00'.repeat(32), min_ntime: now, nbits: 0 });
   }
+}
 
-  /* ── Dashboard stats endpoint (normalised format) ── */
-  if (req.url === '/proxy-stats') {
-    const uptime = Math.floor((Date.now() - totals.startTime) / 1000);
-    const h = Math.floor(uptime/3600), m = Math.floor((uptime%3600)/60);
-    const uptimeFmt = h + 'h ' + m + 'm ' + (uptime%60) + 's';
-
-    /* Aggregate hashrate across all miners */
-    let totalHps = 0;
-    const minerList = [...miners.values()].map(m => {
-      const hps = m.hashrate || 0;
-      totalHps += hps;
-      return {
-        id: m.id,
-        worker: m.worker,
-        address: m.socket?.remoteAddress,
-        uptimeSec: Math.floor((Date.now() - m.connectedAt) / 1000),
-        difficulty: +m.vardiff.currentDiff.toFixed(0),
-        sharesSubmitted: m.sharesSubmitted,
-        sharesAccepted: m.sharesAccepted,
-        sharesRejected: m.sharesRejected,
-        hashrate: fmtHps(hps),
-        hashrateHps: hps,
-      };
-    });
+function handleSv2Message(miner, msg) {
+  switch (msg.type) {
 
-    const data = {
-      node: `${UPSTREAM_HOST}:${UPSTREAM_PORT === 3001 ? '8114' : UPSTREAM_PORT}`,
-      nodeHealthy: upstreamReady,
-      coinbase: config.local?.coinbaseAddress || config.coinbaseAddress || '—',
-      status: upstreamReady ? 'active' : 'disconnected',
-      uptime: uptimeFmt,
-      templateAge: currentJob ? Math.floor((Date.now() - (currentJobTime||Date.now()))/1000) : null,
-      block: {
-        height: currentJob?.[2] ?? 0,
-        epoch: currentJob?.[6] ?? '0x0',
-        target: currentTarget ? currentTarget.slice(0,32)+'...' : null,
-        workId: currentJob?.[0] ?? null,
-      },
-      totals: {
-        blocksFound: totals.blocksFound || 0,
-        sharesSubmitted: totals.sharesSubmitted,
-        sharesAccepted: totals.sharesAccepted,
-        sharesRejected: totals.sharesRejected,
-        startTime: totals.startTime,
-      },
-      hashrate: fmtHps(totalHps),
-      hashrateHps: totalHps,
-      miners: { count: miners.size, list: minerList },
-    };
-
-    res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
-    res.end(JSON.stringify(data, null, 2));
-    return;
+    case 'SetupConnection': {
+      if (msg.protocol !== 0 || msg.min_version > 2 || msg.max_version < 2) {
+        const error_code = msg.protocol !== 0 ? 'unsupported-protocol' : 'protocol-version-mismatch';
+        sendSv2(miner, 'SetupConnectionError', { flags: 0, error_code });
+        log('SV2', `#${miner.id} setup refused: ${error_code}`);
+        return;
+      }
+      miner.setupDone = true;
+      miner.device    = [msg.vendor, msg.hardware_version, msg.firmware].filter(Boolean).join(' ') || null;
+      sendSv2(miner, 'SetupConnectionSuccess', { used_version: 2, flags: 0 });
+      log('SV2', `#${miner.id} setup ok (${miner.device || 'unknown device'})`);
+      break;
+    }
+
+    case 'OpenStandardMiningChannel': {
+      if (!miner.setupDone || miner.authorized) {
+        const error_code = miner.authorized ? 'max-channels-reached' : 'setup-connection-required';
+        sendSv2(miner, 'OpenMiningChannelError', { request_id: msg.request_id, error_code });
+        return;
+      }
+      // SV2 has no password field: in list mode only password-less entries can open a channel
+      const policy = workerPolicy(msg.user_identity);
+      const worker = policy.name;
+      const refuse = () => sendSv2(miner, 'OpenMiningChannelError', { request_id: msg.request_id, error_code: 'unknown-user' });
+      if (!authorizeMiner(miner, worker, '', refuse)) return;
+      // max_target is the easiest target the device wants — treat it like a suggested difficulty
+      const maxTargetDiff = targetToDiff(msg.max_target, backend.targetForDiff(1) || undefined);
+      if (maxTargetDiff > VARDIFF.minDiff) miner.suggestedDiff = maxTargetDiff;
+      applyDifficultyPolicy(miner, policy);
+      const slice = backend.extranonce(miner);
+      if (!slice) {
+        sendSv2(miner, 'OpenMiningChannelError', { request_id: msg.request_id, error_code: 'max-channels-reached' });
+        log('SV2', `#${miner.id} refused: every extranonce slice is in use`);
+        miner.socket.end();
+        return;
+      }
+      miner.worker     = worker;
+      miner.authorized = true;
+      const { extranonce1, extranonce2Size } = slice;
+      miner.extranonce1     = extranonce1;
+      miner.extranonce2Size = extranonce2Size;
+      setInitialDiff(miner);
+
+      const diff = miner.vardiff.currentDiff;
+      sendSv2(miner, 'OpenStandardMiningChannelSuccess', {
+        request_id       : msg.request_id,
+        channel_id       : miner.id,
+        target           : backend.targetForDiff(diff) || diffToTargetLE(diff),
+        extranonce_prefix: extranonce1,
+        group_channel_id : 0,
+      });
+      log('SV2', `#${miner.id} channel open for ${miner.worker} (prefix=${extranonce1})`);
+
+      const params = backend.notifyParams();
+      if (params) sendSv2Job(miner, params);
+      break;
+    }
+
+    case 'SubmitSharesStandard': {
+      const reply = { channel_id: msg.channel_id };
+      if (!miner.authorized || msg.channel_id !== miner.id) {
+        sendSv2(miner, 'SubmitSharesError', { ...reply, sequence_number: msg.sequence_number, error_code: 'invalid-channel-id' });
+        return;
+      }
+      const nonce = msg.nonce;
+      const en2   = nonce.slice(miner.extranonce1.length, miner.extranonce1.length + miner.extranonce2Size * 2);
+      const ntime = msg.ntime.toString(16).padStart(8, '0');
+      handleShare(miner, { jobId: backendJobId(msg.job_id), en2, ntime, nonce }).then(({ result, error, diff }) => {
+        if (result) {
+          sendSv2(miner, 'SubmitSharesSuccess', {
+            ...reply,
+            last_sequence_number      : msg.sequence_number,
+            new_submits_accepted_count: 1,
+            new_shares_sum            : Math.max(1, Math.round(diff)),
+          });
+        } else {
+          sendSv2(miner, 'SubmitSharesError', {
+            ...reply,
+            sequence_number: msg.sequence_number,
+            error_code     : SV2_ERRORS[error?.[0]] || 'invalid-share',
+          });
+        }
+      }).catch(e => {
+        log('SV2', `#${miner.id} share failed: ${e.stack || e.message}`);
+        sendSv2(miner, 'SubmitSharesError', { ...reply, sequence_number: msg.sequence_number, error_code: 'invalid-share' });
+      });
+      break;
+    }
+
+    case 'CloseChannel':
+      miner.authorized = false;
+      log('SV2', `#${miner.id} closed its channel (${msg.reason_code || 'no reason'})`);
+      break;
+
+    default:
+      log('SV2', `#${miner.id} unhandled: ${msg.type || `0x${msg.msgType.toString(16)}`}`);
   }
+}
 
-  const uptime = Math.floor((Date.now() - totals.startTime) / 1000);
-  const minerList = [...miners.values()].map(m => ({
+const sv2Server = SV2_PORT && net.createServer(socket => {
+  if (!admitConnection(socket, 'SV2')) return;
+  const miner = newMiner(socket, 'sv2');
+  const id    = miner.id;
+  addMiner(miner);
+  log('SV2', `#${id} connected from ${socket.remoteAddress}:${socket.remotePort}`);
+
+  const parse = sv2.createFrameParser(
+    msg => {
+      if (!socket.writable) return;
+      // As on the Stratum port, a message that throws costs only its own connection
+      try { handleSv2Message(miner, msg); } catch (e) {
+        log('SV2', `#${id} ${e.stack || e.message}`);
+        dropMiner(miner, 'message handling failed');
+      }
+    },
+    err => dropMiner(miner, err.message, 'malformed'),
+  );
+  socket.on('data', data => {
+    miner.lastActivity = Date.now();
+    parse(data);
+  });
+
+  socket.on('close', () => {
+    log('SV2', `#${id} (${miner.worker}) disconnected`);
+    releaseMiner(miner);
+  });
+
+  socket.on('error', err => log('SV2', `#${id} error: ${err.message}`));
+});
+
+if (sv2Server) {
+  sv2Server.on('error', err => {
+    // SV2 is optional — v1 miners keep working without it
+    log('ERROR', `Stratum V2 listener on port ${SV2_PORT} failed: ${err.message}`);
+  });
+}
+
+// ── Timeouts ──────────────────────────────────────────────────────────────────
+// Connections that never authorize (or open an SV2 channel), or go silent, are closed
+setInterval(() => {
+  const now = Date.now();
+  const { subscribeTimeoutSec, idleTimeoutSec } = guard.settings;
+  for (const m of miners.values()) {
+    if (!m.authorized && subscribeTimeoutSec && now - m.connectedAt > subscribeTimeoutSec * 1000) {
+      dropMiner(m, `not authorized after ${subscribeTimeoutSec}s`);
+    } else if (idleTimeoutSec && now - m.lastActivity > idleTimeoutSec * 1000) {
+      dropMiner(m, `silent for ${idleTimeoutSec}s`);
+    }
+  }
+  guard.sweep();
+}, 5000).unref();
+
+// ── Stats HTTP ────────────────────────────────────────────────────────────────
+function minerStats(m) {
+  const rates = m.hashrate.rates();
+  return {
     id             : m.id,
     worker         : m.worker,
+    protocol       : m.protocol,
+    tls            : m.tls,
     address        : m.socket?.remoteAddress,
+    extranonce1    : m.extranonce1,
     uptimeSec      : Math.floor((Date.now() - m.connectedAt) / 1000),
     difficulty     : +m.vardiff.currentDiff.toFixed(4),
+    diffSource     : m.fixedDiff != null ? `fixed (${m.diffSource})` : m.diffSource,
+    vardiff        : m.fixedDiff != null ? null : vardiffStats(m.vardiff, m.diffSettings),
     sharesSubmitted: m.sharesSubmitted,
     sharesAccepted : m.sharesAccepted,
     sharesRejected : m.sharesRejected,
+    sharesDuplicate: m.sharesDuplicate,
+    sharesStale    : m.sharesStale,
     sharesLocalOnly: m.sharesLocalOnly,
-  }));
+    hashrate       : fmtHps(rates['5m']),
+    hashrateHps    : rates['5m'],
+    hashrates      : rates,
+  };
+}
 
-  const data = {
+/** Normalised format shared by the dashboard and `curl /`. */
+function dashboardStats() {
+  const uptime    = Math.floor((Date.now() - totals.startTime) / 1000);
+  const minerList = [...miners.values()].map(minerStats);
+  const rates     = hashrate.rates();
+
+  return {
+    mode: backend.name,
+    ...backend.summary(),
+    uptime: fmtUptime(uptime),
+    totals: {
+      blocksFound    : totals.blocksFound,
+      sharesSubmitted: totals.sharesSubmitted,
+      sharesAccepted : totals.sharesAccepted,
+      sharesRejected : totals.sharesRejected,
+      sharesDuplicate: totals.sharesDuplicate,
+      sharesStale    : totals.sharesStale,
+      since          : store.lifetime().totals.since,
+      startTime      : totals.startTime,
+    },
+    hashrate    : fmtHps(rates['5m']),
+    hashrateHps : rates['5m'],
+    hashrates   : rates,
+    miners      : { count: miners.size, list: minerList },
+    access      : access.stats(),
+    bans        : guard.bans(),
+    modeSwitches: modeHistory,
+  };
+}
+
+function detailedStats() {
+  const uptime = Math.floor((Date.now() - totals.startTime) / 1000);
+  return {
     proxy: {
+      mode: backend.name,
       uptime, uptimeFmt: fmtUptime(uptime),
-      upstream: `${UPSTREAM_HOST}:${UPSTREAM_PORT}`,
-      upstreamReady,
-      currentJobId  : currentJob?.[0] ?? null,
-      blockHeight   : currentJob?.[2] ?? null,
-      poolDifficulty,
-      currentTarget : currentTarget ? currentTarget.slice(0,16)+'...' : null,
+      ready: backend.isReady(),
+      ...backend.details(),
     },
+    hashrate: Object.fromEntries(Object.entries(hashrate.rates()).map(([w, hps]) => [w, fmtHps(hps)])),
     vardiff: {
+      algorithm      : VARDIFF.algorithm,
       targetShareSec : VARDIFF.targetShareSec,
       retargetSec    : VARDIFF.retargetSec,
       variancePercent: VARDIFF.variancePercent,
@@ -606,14 +1114,375 @@ const statsServer = http.createServer((req, res) => {
       submitted : totals.sharesSubmitted,
       accepted  : totals.sharesAccepted,
       rejected  : totals.sharesRejected,
+      duplicate : totals.sharesDuplicate,
+      stale     : totals.sharesStale,
+      tracked   : dedup.size(),
       acceptRate: totals.sharesSubmitted > 0
         ? ((totals.sharesAccepted / totals.sharesSubmitted) * 100).toFixed(1) + '%' : 'n/a',
     },
-    miners: { count: miners.size, list: minerList },
+    modeSwitches: modeHistory,
+    access : access.stats(),
+    limits : guard.stats(),
+    events : events.stats(),
+    history: history.stats(),
+    store  : store.info(),
+    workers: store.lifetime().workers,
+    miners : { count: miners.size, list: [...miners.values()].map(minerStats) },
   };
+}
+
+/** Prometheus families for GET /metrics, built from live state on each scrape */
+function metricsFamilies() {
+  const now       = Date.now();
+  const minerList = [...miners.values()];
+  const rates     = hashrate.rates();
+  const summary   = backend.summary();
+  const families  = [];
+  const add = (name, type, help, samples) => families.push({ name, type, help, samples });
+
+  add('ckb_proxy_up_seconds', 'gauge', 'Seconds since the proxy started',
+    [{ value: Math.floor((now - totals.startTime) / 1000) }]);
+  add('ckb_proxy_mode', 'gauge', 'Active job source (1 for the current mode)',
+    Object.keys(backends).map(mode => ({ labels: { mode }, value: mode === backend.name ? 1 : 0 })));
+
+  // Shares and work
+  add('ckb_proxy_shares_total', 'counter', 'Shares since start by worker, result (accepted, local, rejected) and rejection reason',
+    shareCounts.samples());
+  add('ckb_proxy_share_difficulty_total', 'counter', 'Sum of the difficulty of accepted shares since start, by worker',
+    shareWork.samples());
+  add('ckb_proxy_blocks_found_total', 'counter', 'Blocks found (solo) or block-level shares accepted by the pool, lifetime',
+    [{ value: totals.blocksFound }]);
+  add('ckb_proxy_blocks', 'gauge', 'Tracked block candidates by status',
+    Object.entries(blockTracker.stats().counts).map(([status, value]) => ({ labels: { status }, value })));
+
+  // Miners
+  const byProtocol = {};
+  for (const m of minerList) byProtocol[m.protocol] = (byProtocol[m.protocol] || 0) + 1;
+  add('ckb_proxy_miners', 'gauge', 'Connected miners by protocol',
+    ['v1', 'sv2'].map(protocol => ({ labels: { protocol }, value: byProtocol[protocol] || 0 })));
+  const diffs = new Map();   // "worker protocol" → { labels, sum, count }
+  for (const m of minerList) {
+    const labels = { worker: metricsWorker(m.worker), protocol: m.protocol };
+    const key    = `${labels.worker}\n${labels.protocol}`;
+    const d      = diffs.get(key) || diffs.set(key, { labels, sum: 0, count: 0 }).get(key);
+    d.sum += m.vardiff.currentDiff;
+    d.count++;
+  }
+  add('ckb_proxy_miner_difficulty', 'gauge', 'Current difficulty per connected worker, averaged over its connections',
+    [...diffs.values()].map(({ labels, sum, count }) => ({ labels, value: sum / count })));
+  add('ckb_proxy_hashrate_hps', 'gauge', 'Estimated hashrate from accepted shares, by averaging window',
+    Object.entries(rates).map(([window, value]) => ({ labels: { window }, value })));
+  const byWorker = {};
+  for (const m of minerList) {
+    const worker = metricsWorker(m.worker);
+    byWorker[worker] = (byWorker[worker] || 0) + m.hashrate.rates()['5m'];
+  }
+  add('ckb_proxy_worker_hashrate_hps', 'gauge', 'Estimated 5-minute hashrate per connected worker',
+    Object.entries(byWorker).map(([worker, value]) => ({ labels: { worker }, value })));
+
+  // Job source
+  add('ckb_proxy_backend_ready', 'gauge', 'Whether the active job source has work and a healthy upstream / node',
+    [{ labels: { mode: backend.name }, value: backend.isReady() }]);
+  add('ckb_proxy_job_age_seconds', 'gauge', 'Seconds since the current job / block template arrived',
+    summary.templateAge == null ? [] : [{ labels: { mode: backend.name }, value: summary.templateAge }]);
+
+  const pools = backends.pool?.details().pools;
+  if (pools) {
+    add('ckb_proxy_upstream_up', 'gauge', 'Upstream pool connected and authorized (1) or not (0)',
+      pools.list.map(p => ({ labels: { pool: p.name }, value: p.state === 'active' })));
+    add('ckb_proxy_upstream_active', 'gauge', 'The pool currently selected by failover',
+      pools.list.map(p => ({ labels: { pool: p.name }, value: p.active })));
+    add('ckb_proxy_upstream_connect_attempts_total', 'counter', 'Connection attempts per upstream pool',
+      pools.list.map(p => ({ labels: { pool: p.name }, value: p.attempts })));
+    add('ckb_proxy_upstream_connects_total', 'counter', 'Successful connections per upstream pool',
+      pools.list.map(p => ({ labels: { pool: p.name }, value: p.connects })));
+    add('ckb_proxy_upstream_failovers_total', 'counter', 'Failovers between upstream pools',
+      [{ value: pools.failoverCount }]);
+  }
+
+  const rpcStats = Object.entries(backends.solo.rpc.stats());
+  add('ckb_proxy_node_up', 'gauge', 'Whether the last node RPC calls succeeded',
+    [{ value: backends.solo.summary().nodeHealthy }]);
+  add('ckb_proxy_node_rpc_duration_seconds', 'summary', 'Node RPC call latency by method',
+    rpcStats.flatMap(([method, st]) => [
+      { labels: { method }, suffix: '_sum', value: st.totalMs / 1000 },
+      { labels: { method }, suffix: '_count', value: st.calls },
+    ]));
+  add('ckb_proxy_node_rpc_errors_total', 'counter', 'Failed node RPC calls by method',
+    rpcStats.map(([method, st]) => ({ labels: { method }, value: st.errors })));
+
+  // Access control
+  const acc = access.stats();
+  const lim = guard.stats();
+  add('ckb_proxy_auth_failures_total', 'counter', 'Refused worker authorizations', [{ value: acc.authFailures }]);
+  add('ckb_proxy_connections_refused_total', 'counter', 'Miner connections refused, by reason', [
+    { labels: { reason: 'ip_rule' }, value: acc.connectionsDenied },
+    { labels: { reason: 'banned' }, value: lim.refusedBanned },
+    { labels: { reason: 'per_ip_limit' }, value: lim.refusedPerIp },
+    { labels: { reason: 'full' }, value: lim.refusedFull },
+  ]);
+  add('ckb_proxy_bans', 'gauge', 'Addresses currently banned', [{ value: lim.bans.length }]);
+
+  return families;
+}
 
-  res.writeHead(200, { 'Content-Type': 'application/json' });
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
   res.end(JSON.stringify(data, null, 2));
+}
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+/**
+ * Admin calls need the configured bearer token. Without one only localhost may
+ * call, and only by a localhost name — a DNS-rebound web page reaches
+ * 127.0.0.1 under its own host name.
+ */
+function adminAllowed(req) {
+  if (ADMIN_TOKEN) return sameSecret(req.headers.authorization || '', `Bearer ${ADMIN_TOKEN}`);
+  const ip   = req.socket.remoteAddress;
+  const host = String(req.headers.host || '').toLowerCase().replace(/:\d+$/, '');
+  return (ip === '127.0.0.1' || ip === '::1' || ip === '::ffff:127.0.0.1') && LOOPBACK_HOSTS.has(host);
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', c => { if (body.length < 4096) body += c; });
+    req.on('end', () => {
+      let parsed = null;
+      try { parsed = JSON.parse(body); } catch {}
+      resolve(parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {});
+    });
+  });
+}
+
+// ── Admin ─────────────────────────────────────────────────────────────────────
+/**
+ * Pin a miner to `diff` (clamped to its profile's min / max), or with null
+ * hand it back to the difficulty rules it had before. Returns the difficulty
+ * now in force.
+ */
+function forceDifficulty(miner, diff) {
+  if (diff == null) {
+    if (miner.adminDiff) {
+      miner.fixedDiff  = miner.adminDiff.fixedDiff;
+      miner.diffSource = miner.adminDiff.diffSource;
+      miner.adminDiff  = null;
+      applySuggestedDiff(miner);
+      setVardiff(miner.vardiff, miner.fixedDiff ?? clampDiff(miner.vardiff.currentDiff, miner.diffSettings));
+    }
+  } else {
+    miner.adminDiff ||= { fixedDiff: miner.fixedDiff, diffSource: miner.diffSource };
+    miner.fixedDiff  = clampDiff(diff, miner.diffProfile);
+    miner.diffSource = 'admin';
+    setVardiff(miner.vardiff, miner.fixedDiff);
+  }
+  sendLocalTarget(miner);
+  return miner.vardiff.currentDiff;
+}
+
+/** Send the current job again to every miner with clean_jobs set; false if there is none */
+function rebroadcastJob() {
+  const params = backend.notifyParams();
+  if (!params) return false;
+  const clean = [...params];
+  clean[4] = true;
+  broadcastJob(clean);
+  return true;
+}
+
+function adminSessions() {
+  const now = Date.now();
+  return [...miners.values()].map(m => ({
+    ...minerStats(m),
+    ip             : plainIp(m.socket?.remoteAddress),
+    authorized     : m.authorized,
+    idleSec        : Math.floor((now - m.lastActivity) / 1000),
+    fixedDiff      : m.fixedDiff,
+    suggestedDiff  : m.suggestedDiff,
+  }));
+}
+
+async function handleAdmin(req, res, url) {
+  const caller = plainIp(req.socket.remoteAddress);
+  if (!adminAllowed(req)) {
+    log('ADMIN', `Refused ${req.method} ${url.pathname} from ${caller}`);
+    return sendJson(res, 403, { ok: false, error: 'forbidden' });
+  }
+  // A JSON body can't come from a plain cross-site form or fetch without a CORS
+  // preflight, which this server never answers
+  if (req.method === 'POST' && !/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    return sendJson(res, 415, { ok: false, error: 'send parameters as JSON with Content-Type: application/json' });
+  }
+  const route = `${req.method} ${url.pathname}`;
+  const body  = req.method === 'POST' ? await readBody(req) : {};
+
+  /** Log an action and put it on the event stream */
+  const done = (text, data) => {
+    log('ADMIN', `${caller}: ${text}`);
+    events.publish('admin', { by: caller, ...data });
+  };
+  const minerFor = () => {
+    const id = Number(body.miner);
+    return Number.isInteger(id) ? miners.get(id) : undefined;
+  };
+
+  if (route === 'GET /admin/sessions') {
+    return sendJson(res, 200, { ok: true, mode: backend.name, miners: adminSessions(), bans: guard.bans() });
+  }
+
+  if (route === 'POST /admin/mode') {
+    const mode = body.mode;
+    const prev = backend.name;
+    try {
+      const changed = switchMode(mode, body.reason || 'admin request');
+      if (changed) done(`mode ${prev} → ${mode}`, { action: 'mode', from: prev, to: mode });
+      return sendJson(res, 200, { ok: true, mode: backend.name, previous: prev, changed });
+    } catch (e) {
+      return sendJson(res, 400, { ok: false, error: e.message, modes: Object.keys(backends) });
+    }
+  }
+
+  if (route === 'POST /admin/disconnect') {
+    const miner = minerFor();
+    if (!miner) return sendJson(res, 404, { ok: false, error: 'no such miner' });
+    const reason = body.reason || 'admin request';
+    done(`disconnect #${miner.id} (${miner.worker}) — ${reason}`, { action: 'disconnect', miner: miner.id, worker: miner.worker, reason });
+    miner.socket.destroy();
+    return sendJson(res, 200, { ok: true, miner: miner.id });
+  }
+
+  if (route === 'POST /admin/difficulty') {
+    const miner = minerFor();
+    if (!miner) return sendJson(res, 404, { ok: false, error: 'no such miner' });
+    if (!miner.authorized) return sendJson(res, 409, { ok: false, error: 'miner is not authorized yet' });
+    const raw  = body.difficulty;
+    const diff = raw == null || raw === '' ? null : Number(raw);
+    if (diff !== null && !(diff > 0 && Number.isFinite(diff))) {
+      return sendJson(res, 400, { ok: false, error: 'difficulty must be a positive number, or null for vardiff' });
+    }
+    const old     = miner.vardiff.currentDiff;
+    const applied = forceDifficulty(miner, diff);
+    done(`difficulty #${miner.id} (${miner.worker}) ${old} → ${diff == null ? `${applied} (released)` : applied}`,
+      { action: 'difficulty', miner: miner.id, worker: miner.worker, from: old, to: applied, released: diff == null });
+    return sendJson(res, 200, { ok: true, miner: miner.id, difficulty: applied, diffSource: miner.diffSource });
+  }
+
+  if (route === 'POST /admin/ban') {
+    const ip  = plainIp(body.ip);
+    const sec = Number(body.sec ?? guard.settings.banSec);
+    if (!net.isIP(ip)) return sendJson(res, 400, { ok: false, error: 'ip must be an IP address' });
+    if (!(sec > 0)) return sendJson(res, 400, { ok: false, error: 'sec must be a positive number of seconds' });
+    const reason = body.reason || 'admin ban';
+    done(`ban ${ip} for ${sec}s — ${reason}`, { action: 'ban', ip, sec, reason });
+    guard.ban(ip, reason, sec);
+    return sendJson(res, 200, { ok: true, ip, sec, bans: guard.bans() });
+  }
+
+  if (route === 'POST /admin/unban') {
+    const ip = plainIp(body.ip);
+    const removed = guard.unban(ip);
+    done(`unban ${ip}${removed ? '' : ' (was not banned)'}`, { action: 'unban', ip, removed });
+    return sendJson(res, 200, { ok: true, ip, removed, bans: guard.bans() });
+  }
+
+  if (route === 'POST /admin/rebroadcast') {
+    if (!rebroadcastJob()) return sendJson(res, 409, { ok: false, error: `no job from ${backend.name} yet` });
+    done(`rebroadcast job ${backend.notifyParams()[0]} with clean_jobs to ${miners.size} miners`,
+      { action: 'rebroadcast', job: backend.notifyParams()[0] });
+    return sendJson(res, 200, { ok: true, job: backend.notifyParams()[0] });
+  }
+
+  if (route === 'POST /admin/reconnect') {
+    if (!backend.reconnect) return sendJson(res, 409, { ok: false, error: `${backend.name} mode has no upstream connection` });
+    const reason = body.reason || 'admin request';
+    done(`reconnect upstream (${backend.label()}) — ${reason}`, { action: 'reconnect', reason });
+    backend.reconnect(reason);
+    return sendJson(res, 200, { ok: true, upstream: backend.label() });
+  }
+
+  sendJson(res, 404, { ok: false, error: 'unknown admin endpoint' });
+}
+
+const statsServer = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/health') {
+    sendJson(res, 200, { ok: true, mode: backend.name, miners: miners.size, ready: backend.isReady() });
+    return;
+  }
+
+  if (url.pathname.startsWith('/admin/')) {
+    handleAdmin(req, res, url).catch(e => {
+      log('ADMIN', `${req.method} ${url.pathname} failed: ${e.stack || e.message}`);
+      if (!res.headersSent) sendJson(res, 500, { ok: false, error: e.message });
+    });
+    return;
+  }
+
+  /* ── Dashboard HTML (browsers); `curl /` still gets JSON ── */
+  const wantsHtml = (req.headers.accept || '').includes('text/html');
+  if (url.pathname === '/dashboard' || (url.pathname === '/' && wantsHtml)) {
+    const html = fs.readFileSync(__dirname + '/dashboard.html', 'utf8');
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(html);
+    return;
+  }
+
+  if (url.pathname === '/events') {
+    events.handle(req, res, url);
+    return;
+  }
+
+  /* ── Polling fallback for the event log ── */
+  if (url.pathname === '/events/recent') {
+    const types = url.searchParams.get('types');
+    sendJson(res, 200, {
+      lastId: events.stats().lastId,
+      events: events.recent(events.sinceId(url.searchParams.get('since')), types ? new Set(types.split(',')) : null),
+    }, CORS_HEADERS);
+    return;
+  }
+
+  if (url.pathname === '/metrics') {
+    res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+    res.end(renderMetrics(metricsFamilies()));
+    return;
+  }
+
+  if (url.pathname === '/chain') {
+    chainInfo.get()
+      .then(info => sendJson(res, 200, info, CORS_HEADERS))
+      .catch(e => {
+        log('CHAIN', `GET /chain failed: ${e.stack || e.message}`);
+        sendJson(res, 500, { ok: false, error: e.message });
+      });
+    return;
+  }
+
+  if (url.pathname === '/history') {
+    const range    = url.searchParams.get('range') || '24h';
+    const rangeSec = parseRange(range);
+    if (!rangeSec) return sendJson(res, 400, { ok: false, error: `range must look like 90m, 6h or 7d, not "${range}"` });
+    const worker = url.searchParams.get('worker') || '';
+    sendJson(res, 200, { worker: worker || null, range, ...history.query(worker, rangeSec), workers: history.workers() },
+      CORS_HEADERS);
+    return;
+  }
+
+  if (url.pathname === '/blocks') {
+    sendJson(res, 200, blockTracker.stats(), CORS_HEADERS);
+    return;
+  }
+
+  /* ── Dashboard stats endpoint (normalised format) ── */
+  if (url.pathname === '/' || url.pathname === '/proxy-stats') {
+    sendJson(res, 200, dashboardStats(), { 'Access-Control-Allow-Origin': '*' });
+    return;
+  }
+
+  sendJson(res, 200, detailedStats());
 });
 
 statsServer.on('error', err => {
@@ -622,9 +1491,34 @@ statsServer.on('error', err => {
 
 // ── Start ─────────────────────────────────────────────────────────────────────
 minerServer.listen(LOCAL_PORT, LOCAL_HOST, () => log('PROXY', `Stratum on ${LOCAL_HOST}:${LOCAL_PORT}`));
+if (tlsServer) {
+  tlsServer.listen(TLS_PORT, LOCAL_HOST, () => log('PROXY', `Stratum+SSL on ${LOCAL_HOST}:${TLS_PORT} — cert ${tlsCert.source}, sha256 ${tlsCert.fingerprint}`));
+}
+if (sv2Server) sv2Server.listen(SV2_PORT, LOCAL_HOST, () => log('PROXY', `Stratum V2 on ${LOCAL_HOST}:${SV2_PORT} (plain TCP, no Noise)`));
 statsServer.listen(STATS_PORT, () => log('PROXY', `Stats on http://localhost:${STATS_PORT}/`));
-connectUpstream();
-
-log('PROXY', '─── CKB Stratum Proxy v1.1 ───');
-log('PROXY', `Upstream  : ${UPSTREAM_HOST}:${UPSTREAM_PORT} as ${UPSTREAM_USER}`);
-log('PROXY', `Vardiff   : target=${VARDIFF.targetShareSec}s  retarget=${VARDIFF.retargetSec}s  ±${VARDIFF.variancePercent}%`);
+backend.start();
+blockTracker.start();
+history.start(historySample);
+
+log('PROXY', '─── CKB Stratum Proxy v1.2 ───');
+log('PROXY', `Mode      : ${backend.name} (switch with POST /admin/mode)`);
+backends.pool?.pools.forEach((p, i) => {
+  log('PROXY', `${i === 0 ? 'Upstream ' : `Backup #${i}`} : ${p.tls ? 'stratum+ssl' : 'stratum+tcp'}://${p.host}:${p.port} as ${p.user}${p.fingerprint ? ' (pinned)' : ''}`);
+});
+log('PROXY', `Node      : ${backends.solo.summary().node}`);
+log('PROXY', `Coinbase  : ${backends.solo.coinbase || '(not set)'}`);
+log('PROXY', `Auth      : ${access.mode}${config.auth?.allow?.length ? `, allow ${config.auth.allow.join(' ')}` : ''}${config.auth?.deny?.length ? `, deny ${config.auth.deny.join(' ')}` : ''}`);
+log('PROXY', `Limits    : ${guard.settings.maxConnections} connections, ${guard.settings.maxPerIp || '∞'} per IP, ban at score ${guard.settings.banScore} for ${guard.settings.banSec}s`);
+log('PROXY', `Vardiff   : ${VARDIFF.algorithm}  target=${VARDIFF.targetShareSec}s  retarget=${VARDIFF.retargetSec}s  ±${VARDIFF.variancePercent}%`);
+
+// ── Shutdown ──────────────────────────────────────────────────────────────────
+// Keep the charts' history across restarts; the share store is append-only and needs only closing
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    log('PROXY', `${signal} — saving history and exiting`);
+    history.stop();
+    history.save();
+    store.close();
+    process.exit(0);
+  });
+}
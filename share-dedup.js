@@ -0,0 +1,58 @@
+/**
+ * share-dedup.js — duplicate share detection
+ *
+ * Remembers a key for every share per job id — extranonce1, extranonce2 and
+ * the nonce — so a resubmitted solution is caught before it is credited or
+ * forwarded upstream. A share is held while it is checked and forgotten again
+ * if it isn't accepted, so only accepted shares count as seen.
+ * Only the newest `maxJobs` jobs are kept, each capped at `maxPerJob` entries
+ * (oldest dropped first); a clean job clears every other job.
+ */
+'use strict';
+
+function createShareDedup({ maxJobs = 16, maxPerJob = 50000 } = {}) {
+  const jobs = new Map();   // jobId → Set of share keys, oldest job first
+
+  /** Record a share; returns true if the same share was already seen for this job. */
+  function seen(rawJobId, shareKey) {
+    const jobId = String(rawJobId).toLowerCase();   // solo job ids are hex, matched in any case
+    const key   = String(shareKey).toLowerCase();
+    let set = jobs.get(jobId);
+    if (!set) {
+      set = new Set();
+      jobs.set(jobId, set);
+      if (jobs.size > maxJobs) jobs.delete(jobs.keys().next().value);
+    } else if (set.has(key)) {
+      return true;
+    }
+    set.add(key);
+    if (set.size > maxPerJob) set.delete(set.values().next().value);
+    return false;
+  }
+
+  /** Drop a share recorded by seen() that wasn't accepted, so it can be submitted again */
+  function forget(rawJobId, shareKey) {
+    jobs.get(String(rawJobId).toLowerCase())?.delete(String(shareKey).toLowerCase());
+  }
+
+  /** Forget every job but `keepJobId` — a clean job re-sent under the same id keeps its shares */
+  function clear(keepJobId) {
+    const keep = String(keepJobId).toLowerCase();
+    for (const jobId of jobs.keys()) if (jobId !== keep) jobs.delete(jobId);
+  }
+
+  /** Forget every job — a new job source shares no job ids with the old one */
+  function reset() {
+    jobs.clear();
+  }
+
+  function size() {
+    let n = 0;
+    for (const set of jobs.values()) n += set.size;
+    return n;
+  }
+
+  return { seen, forget, clear, reset, size };
+}
+
+module.exports = { createShareDedup };
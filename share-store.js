@@ -0,0 +1,221 @@
+/**
+ * share-store.js — append-only share and block history on disk
+ *
+ * Every share result and block candidate is appended as one JSON line to the
+ * current segment file (<dir>/segment-<utc>.jsonl). A segment is sealed once
+ * it passes `maxSegmentMB`; sealed segments older than `retentionDays` are
+ * deleted.
+ *
+ * Lifetime totals survive both restarts and retention: checkpoint.json holds
+ * the totals for every sealed segment, and at startup only segments newer than
+ * the checkpoint are replayed on top of it.
+ *
+ * Records:
+ *   { t, type: 'share', miner, worker, job, diff, result: 'accepted'|'local'|'rejected', code?, reason?, latencyMs }
+ *   { t, type: 'block', worker, height?, job?, nonce?, accepted, reason? }
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { log } = require('./util.js');
+
+const CHECKPOINT = 'checkpoint.json';
+const SEGMENT_RE = /^segment-[0-9TZ]+\.jsonl$/;
+
+function emptyTotals() {
+  return {
+    sharesSubmitted: 0,
+    sharesAccepted : 0,
+    sharesRejected : 0,
+    sharesDuplicate: 0,
+    sharesStale    : 0,
+    blocksFound    : 0,
+    since          : null,   // time of the first record ever stored
+  };
+}
+
+/** Fold one record into a { totals, workers } accumulator. */
+function applyRecord(acc, rec) {
+  const t = acc.totals;
+  if (t.since == null) t.since = rec.t;
+
+  if (rec.type === 'block') {
+    if (rec.accepted) t.blocksFound++;
+    const w = workerTotals(acc, rec.worker);
+    if (rec.accepted) w.blocksFound++;
+    return;
+  }
+  if (rec.type !== 'share') return;
+
+  const w = workerTotals(acc, rec.worker);
+  t.sharesSubmitted++;
+  w.sharesSubmitted++;
+  w.lastShare = rec.t;
+  if (rec.result === 'rejected') {
+    t.sharesRejected++;
+    w.sharesRejected++;
+    if (rec.code === 22) t.sharesDuplicate++;
+    if (rec.code === 21) t.sharesStale++;
+  } else {
+    // Shares only accepted locally (below pool diff) count for the worker, not the pool total
+    if (rec.result === 'accepted') t.sharesAccepted++;
+    w.sharesAccepted++;
+  }
+}
+
+function workerTotals(acc, worker) {
+  const name = worker || 'unknown';
+  return acc.workers[name] || (acc.workers[name] = {
+    sharesSubmitted: 0, sharesAccepted: 0, sharesRejected: 0, blocksFound: 0, lastShare: null,
+  });
+}
+
+function segmentName(now = new Date()) {
+  return `segment-${now.toISOString().replace(/[-:.]/g, '')}.jsonl`;
+}
+
+function createShareStore(cfg = {}) {
+  const enabled        = cfg.enabled !== false;
+  const DIR            = path.resolve(__dirname, cfg.dir || 'data');
+  const MAX_SEGMENT    = (cfg.maxSegmentMB  || 16) * 1024 * 1024;
+  const RETENTION_DAYS = cfg.retentionDays ?? 30;   // 0 = keep forever
+
+  // Lifetime totals as of the end of the last sealed segment
+  let checkpoint = { totals: emptyTotals(), workers: {}, through: null };
+  // Lifetime totals including the current segment
+  let lifetime   = { totals: emptyTotals(), workers: {} };
+
+  let segment     = null;   // current segment file name
+  let fd          = null;
+  let segmentSize = 0;
+  let retentionTimer = null;
+
+  function segments() {
+    return fs.readdirSync(DIR).filter(f => SEGMENT_RE.test(f)).sort();
+  }
+
+  function readSegment(name) {
+    const records = [];
+    const lines = fs.readFileSync(path.join(DIR, name), 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line) continue;
+      try { records.push(JSON.parse(line)); } catch { /* torn last line after a crash */ }
+    }
+    return records;
+  }
+
+  function writeCheckpoint() {
+    const file = path.join(DIR, CHECKPOINT);
+    fs.writeFileSync(file + '.tmp', JSON.stringify(checkpoint, null, 2));
+    fs.renameSync(file + '.tmp', file);
+  }
+
+  function openSegment(name) {
+    segment     = name;
+    fd          = fs.openSync(path.join(DIR, name), 'a');
+    segmentSize = fs.fstatSync(fd).size;
+  }
+
+  /** Seal the current segment into the checkpoint and start a new one. */
+  function rotate() {
+    if (fd != null) fs.closeSync(fd);
+    checkpoint = { ...structuredClone(lifetime), through: segment };
+    writeCheckpoint();
+    let next = segmentName();
+    if (next <= segment) next = segmentName(new Date(Date.now() + 1));
+    openSegment(next);
+    applyRetention();
+  }
+
+  function applyRetention() {
+    if (!RETENTION_DAYS) return;
+    const cutoff = Date.now() - RETENTION_DAYS * 86400 * 1000;
+    for (const name of segments()) {
+      // Only sealed segments — their counts already live in the checkpoint
+      if (!checkpoint.through || name > checkpoint.through) break;
+      try {
+        if (fs.statSync(path.join(DIR, name)).mtimeMs < cutoff) {
+          fs.unlinkSync(path.join(DIR, name));
+          log('STORE', `Removed ${name} (older than ${RETENTION_DAYS}d)`);
+        }
+      } catch (e) {
+        log('STORE', `Retention failed for ${name}: ${e.message}`);
+      }
+    }
+  }
+
+  /**
+   * Load the checkpoint, replay newer segments and open the newest for append.
+   * Returns lifetime { totals, workers }.
+   */
+  function open() {
+    if (!enabled) return lifetime;
+    fs.mkdirSync(DIR, { recursive: true });
+
+    try {
+      checkpoint = JSON.parse(fs.readFileSync(path.join(DIR, CHECKPOINT), 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') log('STORE', `Unreadable ${CHECKPOINT} (${e.message}) — rebuilding from segments`);
+    }
+    lifetime = structuredClone({ totals: checkpoint.totals, workers: checkpoint.workers });
+
+    // Keep appending to the newest segment unless it is full; every other
+    // segment is sealed into the checkpoint as it is replayed
+    const pending  = segments().filter(name => !checkpoint.through || name > checkpoint.through);
+    const last     = pending[pending.length - 1];
+    const appendTo = last && fs.statSync(path.join(DIR, last)).size < MAX_SEGMENT ? last : null;
+    let replayed = 0;
+    let sealed   = false;
+    for (const name of pending) {
+      for (const rec of readSegment(name)) {
+        applyRecord(lifetime, rec);
+        replayed++;
+      }
+      if (name !== appendTo) {
+        checkpoint = { ...structuredClone(lifetime), through: name };
+        sealed = true;
+      }
+    }
+    if (sealed) writeCheckpoint();
+    openSegment(appendTo || segmentName());
+
+    applyRetention();
+    retentionTimer = setInterval(applyRetention, 3600 * 1000);
+    retentionTimer.unref();
+
+    log('STORE', `${DIR}: ${replayed} records replayed, lifetime ${lifetime.totals.sharesSubmitted} shares / ${lifetime.totals.blocksFound} blocks`);
+    return lifetime;
+  }
+
+  function append(rec) {
+    if (!enabled || fd == null) return;
+    rec = { t: Date.now(), ...rec };
+    applyRecord(lifetime, rec);
+    const line = JSON.stringify(rec) + '\n';
+    try {
+      fs.writeSync(fd, line);
+      segmentSize += Buffer.byteLength(line);
+      if (segmentSize >= MAX_SEGMENT) rotate();
+    } catch (e) {
+      log('STORE', `Write failed: ${e.message}`);
+    }
+  }
+
+  function close() {
+    if (retentionTimer) clearInterval(retentionTimer);
+    if (fd != null) fs.closeSync(fd);
+    fd = null;
+  }
+
+  return {
+    open,
+    close,
+    recordShare: rec => append({ type: 'share', ...rec }),
+    recordBlock: rec => append({ type: 'block', ...rec }),
+    lifetime   : () => lifetime,
+    info       : () => ({ enabled, dir: DIR, segment, segmentSize, sealedThrough: checkpoint.through }),
+  };
+}
+
+module.exports = { createShareStore };
@@ -0,0 +1,535 @@
+/**
+ * solo-backend.js — job source backed by a local CKB node
+ *
+ * Polls get_block_template, turns each new template into a job (pow_hash +
+ * network target), hands every miner its own slice of the 128-bit nonce and
+ * submits solved blocks straight to the node with submit_block.
+ * No pool involved — any block found goes straight to the network.
+ *
+ * Events:
+ *   'job'        (notifyParams)              new template, or clean refresh after a find
+ *   'extranonce' ()                          started — miner slices may need reassigning
+ *   'block'      ({ worker, height, nonce }) node accepted a block we submitted
+ *   'candidate'  ({ worker, height, job, nonce, accepted, reason? })  every submit_block attempt
+ *   'upstream'   ({ node, state, reason? })  node became unreachable ('down') or recovered ('up')
+ */
+'use strict';
+
+const { EventEmitter } = require('events');
+const { eaglesong, meetsTarget } = require('./eaglesong.js');
+const {
+  computePowHash, computeBlockHash, headerFields, parseEpoch, transactionHash,
+  computeTransactionsRoot, computeProposalsHash, computeExtraHash, verifyBlock, serializeCellbaseWitness,
+} = require('./ckb-header.js');
+const { parseAddress, prefixForChain } = require('./ckb-address.js');
+const { compactToTargetLE, diffToTargetLE } = require('./target.js');
+const { createJobHistory } = require('./job-history.js');
+const { createNodeRpc }    = require('./node-rpc.js');
+const { log }          = require('./util.js');
+
+// Nonce space: CKB nonce is 128 bits, split as
+//   extranonce1 (per-miner prefix) || extranonce2 (miner-rolled) || miner nonce
+const NONCE_SIZE           = 16;
+const EXTRANONCE1_SIZE     = 4;
+const EXTRANONCE2_SIZE     = 4;
+const MIN_MINER_NONCE_SIZE = 4;  // never squeeze the miner's own counter below this
+
+const JOB_HISTORY = 8;  // recent templates a share may still be submitted against
+
+/** Cellbase message from config: '0x…' hex as-is, anything else as UTF-8 text */
+function messageHex(msg) {
+  if (/^0x([0-9a-f]{2})*$/i.test(msg)) return msg.toLowerCase();
+  return '0x' + Buffer.from(String(msg), 'utf8').toString('hex');
+}
+
+function createSoloBackend(config, { miners }) {
+  const events = new EventEmitter();
+
+  const NODE_HOST = config.node?.host     || '127.0.0.1';
+  const NODE_PORT = config.node?.port     || 8114;
+  const COINBASE  = (config.node?.coinbase || '').trim();  // CKB address for rewards
+  const CELLBASE_MESSAGE = messageHex(config.node?.cellbaseMessage || '');
+
+  // With a coinbase we write the cellbase witness ourselves, so the reward
+  // goes to our address whatever the node's block_assembler says. proxy.js
+  // refuses to start with an invalid one, so parseAddress doesn't throw here.
+  let payoutLock   = null;
+  let payoutPrefix = null;
+  if (COINBASE) ({ script: payoutLock, prefix: payoutPrefix } = parseAddress(COINBASE));
+
+  // ── State ───────────────────────────────────────────────────────────────────
+  let running          = false;
+  let currentTemplate  = null;   // raw get_block_template result
+  let currentPowHash   = null;   // hex string, computed from template
+  let currentTargetLE  = null;   // 64-char LE hex, from compact_target
+  let currentJobId     = 0;
+  let lastTemplateTime = 0;
+  let extranonceCounter = 0;
+  const jobs           = createJobHistory(JOB_HISTORY);  // job id → { powHash, targetLE, fields, template }
+  let timers           = [];
+
+  // ── CKB Node RPC ────────────────────────────────────────────────────────────
+  let nodeHealthy    = true;
+  let nodeFailCount  = 0;
+
+  const rpc = createNodeRpc({ host: NODE_HOST, port: NODE_PORT });
+
+  // ── Block template polling ──────────────────────────────────────────────────
+  /**
+   * The template with its cellbase witness replaced by CellbaseWitness{ our
+   * lock, our message }. The cellbase outputs are left alone: they pay the
+   * miner of block h-11 and are fixed by consensus. Witnesses aren't part of
+   * the tx hash, so cellbase.hash still holds; transactions_root is not, and
+   * is dropped so it gets recomputed from the new body.
+   */
+  function withPayout(tpl) {
+    if (!payoutLock || !tpl?.cellbase?.data) return tpl;
+    const witness = '0x' + serializeCellbaseWitness(payoutLock, CELLBASE_MESSAGE).toString('hex');
+    const { transactions_root, ...rest } = tpl;
+    return { ...rest, cellbase: { ...tpl.cellbase, data: { ...tpl.cellbase.data, witnesses: [witness] } } };
+  }
+
+  async function fetchTemplate() {
+    try {
+      const tpl = withPayout(await rpc('get_block_template', [null, null, null]));
+      if (!running) return;
+
+      // Check if it's a new template (different work_id or parent_hash)
+      if (currentTemplate &&
+          tpl.work_id === currentTemplate.work_id &&
+          tpl.parent_hash === currentTemplate.parent_hash) {
+        // Same template — but update timestamp field so miners get fresh nonce space
+        // (avoids nonce collisions if same job runs for many seconds)
+        currentTemplate.current_time = tpl.current_time;
+        lastTemplateTime = Date.now();
+        return;
+      }
+
+      // Node recovered after failures
+      if (!nodeHealthy) {
+        log('NODE', `CKB node recovered after ${nodeFailCount} failures`);
+        nodeHealthy   = true;
+        nodeFailCount = 0;
+        events.emit('upstream', { node: `${NODE_HOST}:${NODE_PORT}`, state: 'up' });
+      }
+
+      // A new parent (or the first template after start()) makes every older job stale
+      const clean = !currentTemplate || tpl.parent_hash !== currentTemplate.parent_hash;
+      if (clean) jobs.clear();
+      currentTemplate  = tpl;
+      currentJobId     = (currentJobId + 1) & 0xffffffff;
+      lastTemplateTime = Date.now();
+
+      // Compute pow_hash from the template's header fields
+      const fields = templateToHeaderFields(tpl);
+      currentPowHash  = computePowHash(fields);
+      currentTargetLE = compactToTargetLE(parseInt(tpl.compact_target, 16));
+      // Snapshot the header fields: the template's current_time is refreshed in place later
+      const jobId = currentJobId.toString(16);
+      jobs.add(jobId, { id: jobId, powHash: currentPowHash, targetLE: currentTargetLE, fields, template: tpl });
+
+      const epoch  = parseEpoch(tpl.epoch);
+      const height = parseInt(tpl.number, 16);
+      log('JOB', `#${currentJobId} height=${height} epoch=${epoch.number}.${epoch.index}/${epoch.length} target=${currentTargetLE.slice(0,16)}...`);
+
+      events.emit('job', notifyParams(clean));
+    } catch (e) {
+      nodeFailCount++;
+      if (nodeHealthy) {
+        log('NODE', `CKB node error: ${e.message}`);
+        nodeHealthy = false;
+        events.emit('upstream', { node: `${NODE_HOST}:${NODE_PORT}`, state: 'down', reason: e.message });
+      } else if (nodeFailCount % 30 === 0) {
+        // Log every 60s (30 × 2s poll) to avoid log spam
+        log('NODE', `Still unreachable after ${nodeFailCount} attempts (${Math.round(nodeFailCount*2/60)}min)`);
+      }
+    }
+  }
+
+  /**
+   * The block body submit_block expects: cellbase first, then the template's
+   * transactions; uncles without the template's bookkeeping fields.
+   */
+  function templateBody(tpl) {
+    const body = {
+      uncles      : (tpl.uncles || []).map(u => ({ header: u.header, proposals: u.proposals || [] })),
+      transactions: [tpl.cellbase?.data, ...(tpl.transactions || []).map(t => t.data)].filter(Boolean),
+      proposals   : tpl.proposals || [],
+    };
+    if (tpl.extension != null) body.extension = tpl.extension;
+    return body;
+  }
+
+  /** transactions_root / proposals_hash / extra_hash committed to by a block body. */
+  function bodyCommitments(tpl, body) {
+    return {
+      transactions_root: computeTransactionsRoot(body.transactions),
+      proposals_hash   : computeProposalsHash(body.proposals),
+      extra_hash       : computeExtraHash((tpl.uncles || []).map(u => u.hash), tpl.extension),
+    };
+  }
+
+  function templateToHeaderFields(tpl) {
+    // get_block_template doesn't include the header commitments — compute them
+    // from the body unless the node supplied them
+    let c = {};
+    try {
+      c = bodyCommitments(tpl, templateBody(tpl));
+    } catch (e) {
+      log('NODE', `Could not compute header commitments from template: ${e.message}`);
+    }
+    const zero = '0x' + '0'.repeat(64);
+    return {
+      version        : tpl.version,
+      compact_target : tpl.compact_target,
+      timestamp      : tpl.current_time,
+      number         : tpl.number,
+      epoch          : tpl.epoch,
+      parent_hash    : tpl.parent_hash,
+      transactions_root: tpl.transactions_root || c.transactions_root || zero,
+      proposals_hash : tpl.proposals_hash     || c.proposals_hash    || zero,
+      extra_hash     : tpl.extra_hash || tpl.uncles_hash || c.extra_hash || zero,
+      dao            : tpl.dao,
+    };
+  }
+
+  // ── Stratum job format ──────────────────────────────────────────────────────
+  // We serve miners with a simplified Stratum:
+  //   mining.notify: [job_id, pow_hash, height, target, clean_jobs]
+  //   (mirrors the ViaBTC 5-param format NerdMiner already understands)
+  //   mining.set_target: [target_hex]
+  //
+  // Miners submit: [worker, job_id, extranonce2, ntime, nonce]
+  // The full 16-byte nonce is rebuilt as extranonce1 || extranonce2 || nonce
+  // (see buildFullNonce). ntime is ignored — the timestamp is part of pow_hash.
+
+  function notifyParams(clean) {
+    if (!currentTemplate) return null;
+    return [
+      currentJobId.toString(16),          // job_id
+      currentPowHash,                      // pow_hash (what miners hash against)
+      parseInt(currentTemplate.number, 16),// block height (int, ViaBTC style)
+      currentTargetLE,                     // network target (LE hex)
+      clean,                               // clean jobs
+    ];
+  }
+
+  // ── Extranonce allocation ───────────────────────────────────────────────────
+  function overlaps(a, b) {
+    return a.startsWith(b) || b.startsWith(a);
+  }
+
+  function takenByOther(miner, en1) {
+    for (const [, m] of miners) {
+      if (m !== miner && m.extranonce1 && overlaps(m.extranonce1, en1)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Hand out a unique extranonce1 so every miner searches its own slice of the
+   * nonce space. A session id offered by the miner on resubscribe is honoured
+   * if it is well-formed and not held by another connected miner. A miner that
+   * already has a slice (e.g. from pool mode) keeps it as long as it still fits.
+   */
+  function extranonce(miner, requested) {
+    const current = miner.extranonce1;
+    if (current && current.length / 2 + miner.extranonce2Size <= NONCE_SIZE - MIN_MINER_NONCE_SIZE &&
+        !takenByOther(miner, current)) {
+      return { extranonce1: current, extranonce2Size: miner.extranonce2Size };
+    }
+
+    const wanted = typeof requested === 'string' ? requested.toLowerCase() : '';
+    if (new RegExp(`^[0-9a-f]{${EXTRANONCE1_SIZE * 2}}$`).test(wanted) && !takenByOther(miner, wanted)) {
+      return { extranonce1: wanted, extranonce2Size: EXTRANONCE2_SIZE };
+    }
+
+    let en1;
+    do {
+      extranonceCounter = (extranonceCounter + 1) >>> 0;
+      en1 = extranonceCounter.toString(16).padStart(EXTRANONCE1_SIZE * 2, '0');
+    } while (takenByOther(miner, en1));
+    return { extranonce1: en1, extranonce2Size: EXTRANONCE2_SIZE };
+  }
+
+  /**
+   * buildFullNonce(miner, en2, nonce) → 32-char hex, or null if the submission
+   * doesn't fit the miner's slice. Miners that submit the whole 16-byte nonce
+   * are accepted as long as it starts with their extranonce1 + extranonce2.
+   */
+  function buildFullNonce(miner, en2, nonce) {
+    const e2 = String(en2 || '').replace(/^0x/, '').toLowerCase();
+    const n  = String(nonce).replace(/^0x/, '').toLowerCase();
+    if (!/^[0-9a-f]*$/.test(e2) || !/^[0-9a-f]+$/.test(n)) return null;
+
+    const minerNonceLen = NONCE_SIZE * 2 - miner.extranonce1.length - miner.extranonce2Size * 2;
+    if (e2.length !== miner.extranonce2Size * 2) return null;
+    if (n.length === NONCE_SIZE * 2) return n.startsWith(miner.extranonce1 + e2) ? n : null;
+    if (n.length > minerNonceLen) return null;
+    return miner.extranonce1 + e2 + n.padStart(minerNonceLen, '0');
+  }
+
+  /**
+   * The nonce bytes are fed to Eaglesong as-is, while the header stores the
+   * nonce as a u128 serialized little-endian — so reverse for the JSON header.
+   */
+  function nonceToU128Hex(fullNonce) {
+    return '0x' + Buffer.from(fullNonce, 'hex').reverse().toString('hex');
+  }
+
+  // ── Solution checks ─────────────────────────────────────────────────────────
+  /**
+   * validateSolution(job, fullNonce, header, body) → { blockHash, problems }
+   * Rechecks a solved block locally before it goes to the node: PoW against
+   * compact_target, the header commitments against the body, and the
+   * template's tx / uncle hashes against our own serialization. Never throws:
+   * whatever goes wrong becomes a problem (blockHash null if it can't be computed).
+   */
+  function validateSolution(job, fullNonce, header, body) {
+    const { template: tpl, fields } = job;
+    const problems = [];
+    let blockHash = null;
+
+    try {
+      blockHash = computeBlockHash(fields, header.nonce);
+      const powHash = computePowHash(fields);
+      if (powHash !== job.powHash) problems.push(`pow_hash ${powHash} differs from the job's ${job.powHash}`);
+      const pow = eaglesong(Buffer.concat([Buffer.from(powHash, 'hex'), Buffer.from(fullNonce, 'hex')]));
+      if (!meetsTarget(pow, compactToTargetLE(parseInt(fields.compact_target, 16)))) {
+        problems.push(`PoW ${Buffer.from(pow).reverse().toString('hex')} does not meet compact_target ${fields.compact_target}`);
+      }
+    } catch (e) {
+      problems.push(`could not check the header: ${e.message}`);
+    }
+
+    try {
+      const c = bodyCommitments(tpl, body);
+      for (const key of ['transactions_root', 'proposals_hash', 'extra_hash']) {
+        if (c[key] !== fields[key]) problems.push(`${key} ${fields[key]} but body gives ${c[key]}`);
+      }
+      body.transactions.forEach((tx, i) => {
+        const expected = i === 0 ? tpl.cellbase?.hash : tpl.transactions[i - 1]?.hash;
+        const actual   = transactionHash(tx);
+        if (expected && actual !== expected) problems.push(`tx #${i} hashes to ${actual}, template says ${expected}`);
+      });
+      for (const u of tpl.uncles || []) {
+        const actual = computeBlockHash(headerFields(u.header), u.header.nonce);
+        if (actual !== u.hash) problems.push(`uncle hashes to ${actual}, template says ${u.hash}`);
+      }
+    } catch (e) {
+      problems.push(`could not serialize block body: ${e.message}`);
+    }
+    return { blockHash, problems };
+  }
+
+  /**
+   * Check our encoder against a real block: fetch the node's tip block and
+   * recompute its hashes and header commitments. A mismatch means blocks we
+   * build could be refused, so it's worth knowing before one is found.
+   */
+  async function verifyTipBlock() {
+    try {
+      const tip   = await rpc('get_tip_header', []);
+      const block = tip && await rpc('get_block', [tip.hash]);
+      if (!block) return;
+      const problems = verifyBlock(block);
+      const height   = parseInt(block.header.number, 16);
+      if (!problems.length) log('NODE', `Encoder check OK against block #${height} (${block.transactions.length} txs)`);
+      for (const p of problems) log('NODE', `⚠ encoder check on block #${height}: ${p}`);
+    } catch (e) {
+      log('NODE', `Encoder check skipped: ${e.message}`);
+    }
+  }
+
+  /** Warn when node.coinbase is for another network than the node's chain. */
+  async function checkChain() {
+    if (!payoutLock) return;
+    try {
+      const { chain } = await rpc('get_blockchain_info', []);
+      const expected = prefixForChain(chain);
+      if (payoutPrefix !== expected) {
+        log('WARN', `node.coinbase is a ${payoutPrefix}1… address but the node is on chain "${chain}" (${expected}1… expected) — check the reward address`);
+      }
+    } catch (e) {
+      log('NODE', `Chain check skipped: ${e.message}`);
+    }
+  }
+
+  // ── Block submission ────────────────────────────────────────────────────────
+  async function submitBlock(job, nonce, worker) {
+    const { template: tpl, fields } = job;
+    const height = parseInt(tpl.number, 16);
+
+    // CKB submit_block expects: (work_id, block) with
+    // block = { header, uncles, transactions, proposals[, extension] }
+    const block = {
+      header: {
+        version        : fields.version,
+        compact_target : fields.compact_target,
+        timestamp      : fields.timestamp,
+        number         : fields.number,
+        epoch          : fields.epoch,
+        parent_hash    : fields.parent_hash,
+        transactions_root: fields.transactions_root,
+        proposals_hash : fields.proposals_hash,
+        extra_hash     : fields.extra_hash,
+        dao            : fields.dao,
+        nonce          : nonceToU128Hex(nonce),
+      },
+      ...templateBody(tpl),
+    };
+
+    // Diagnostics only — the node has the final say, and a false alarm here
+    // must never cost us a block
+    const { blockHash, problems } = validateSolution(job, nonce, block.header, block);
+    if (blockHash) log('BLOCK', `Local block hash ${blockHash} (height=${height})`);
+    for (const p of problems) log('BLOCK', `⚠ pre-submit check: ${p}`);
+
+    try {
+      const result = await rpc('submit_block', [tpl.work_id, block]);
+      log('BLOCK', `✓ BLOCK FOUND! height=${height} nonce=${nonce} result=${result}`);
+      if (blockHash && result !== blockHash) log('BLOCK', `⚠ node returned hash ${result}, we computed ${blockHash}`);
+      events.emit('candidate', { worker, height, job: job.id, nonce, accepted: true, hash: result, computedHash: blockHash, problems });
+      events.emit('block', { worker, height, nonce });
+      return true;
+    } catch (e) {
+      log('BLOCK', `✗ submit failed: ${e.message}`);
+      events.emit('candidate', { worker, height, job: job.id, nonce, accepted: false, reason: e.message, hash: blockHash, computedHash: blockHash, problems });
+      return false;
+    }
+  }
+
+  // ── Backend interface ───────────────────────────────────────────────────────
+  /**
+   * submit(miner, share, localTarget) → Promise<{ result, error }>
+   * The reply doesn't wait for submit_block — a solution is submitted in the background.
+   */
+  async function submit(miner, { jobId, en2, nonce }, localTarget) {
+    // Validate against the job the share was mined on; anything that has left
+    // the history (older than JOB_HISTORY, or from before a new parent) is stale
+    const job = jobs.get(String(jobId).toLowerCase());
+    if (!job) {
+      log('MINE', `#${miner.id} stale share (job ${jobId} not found)`);
+      return { result: false, error: [21, 'Job not found', null], stale: true };
+    }
+
+    if (!nonce) {
+      return { result: false, error: [20, 'Missing nonce', null] };
+    }
+
+    // Rebuild the full nonce from this miner's slice
+    const fullNonce = buildFullNonce(miner, en2, nonce);
+    if (!fullNonce) {
+      log('MINE', `#${miner.id} nonce outside assigned range (en2=${en2} nonce=${nonce})`);
+      return { result: false, error: [20, 'Invalid nonce', null] };
+    }
+    const input = Buffer.concat([Buffer.from(job.powHash, 'hex'), Buffer.from(fullNonce, 'hex')]);
+    const hash  = eaglesong(input);
+
+    // Check local (vardiff) target
+    if (localTarget && !meetsTarget(hash, localTarget)) {
+      log('MINE', `#${miner.id} share below local diff`);
+      return { result: false, error: [23, 'Low difficulty share', null] };
+    }
+
+    // Check if it meets the actual network target. Jobs in the history all
+    // share the current parent, so an older template is still a valid block.
+    if (meetsTarget(hash, job.targetLE) && job.template.parent_hash === currentTemplate?.parent_hash) {
+      log('MINE', `🎉 🎉 🎉  BLOCK SOLUTION! Submitting to node...${job.template !== currentTemplate ? ` (previous template, job ${jobId})` : ''}`);
+      submitBlock(job, fullNonce, miner.worker).then(ok => {
+        if (ok && running) events.emit('job', notifyParams(true));  // force clean job refresh after find
+      }).catch(e => log('BLOCK', `✗ submit failed: ${e.stack || e.message}`));
+    }
+    return { result: true, error: null };
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    if (payoutLock) {
+      log('NODE', `Cellbase pays ${COINBASE}${CELLBASE_MESSAGE !== '0x' ? ` with message ${CELLBASE_MESSAGE}` : ''}`);
+    } else {
+      log('NODE', 'No node.coinbase set — the node\'s block_assembler receives block rewards');
+    }
+    events.emit('extranonce');
+    fetchTemplate();
+    checkChain();
+    verifyTipBlock();
+    // Poll every 2 seconds — CKB blocks are ~6s
+    timers.push(setInterval(fetchTemplate, 2000));
+
+    // Watchdog: if we haven't gotten a new template in 5 minutes, log loudly
+    timers.push(setInterval(() => {
+      if (!lastTemplateTime) return;
+      const staleSec = Math.floor((Date.now() - lastTemplateTime) / 1000);
+      if (staleSec > 300) {
+        log('WARN', `Template is ${staleSec}s old — CKB node may be stuck or offline`);
+      }
+    }, 60000));
+  }
+
+  function stop() {
+    if (!running) return;
+    running = false;
+    timers.forEach(clearInterval);
+    timers = [];
+    currentTemplate  = null;
+    currentPowHash   = null;
+    lastTemplateTime = 0;
+    jobs.clear();
+  }
+
+  /** Fields for the dashboard's normalised stats format. */
+  function summary() {
+    return {
+      node       : `${NODE_HOST}:${NODE_PORT}`,
+      nodeHealthy,
+      coinbase   : COINBASE,
+      cellbase   : payoutLock ? 'proxy' : 'node',
+      status     : currentTemplate ? (nodeHealthy ? 'active' : 'node-error') : 'waiting',
+      templateAge: lastTemplateTime ? Math.floor((Date.now() - lastTemplateTime) / 1000) : null,
+      block      : currentTemplate ? {
+        height : parseInt(currentTemplate.number, 16),
+        epoch  : currentTemplate.epoch,
+        target : currentTargetLE?.slice(0,16) + '...',
+        workId : currentTemplate.work_id,
+      } : null,
+    };
+  }
+
+  function details() {
+    return {
+      node        : `http://${NODE_HOST}:${NODE_PORT}`,
+      nodeHealthy,
+      coinbase    : COINBASE || null,
+      payoutLock,
+      cellbaseMessage: CELLBASE_MESSAGE,
+      currentJobId: currentTemplate ? currentJobId.toString(16) : null,
+      recentJobs  : jobs.ids(),
+      blockHeight : currentTemplate ? parseInt(currentTemplate.number, 16) : null,
+      networkTarget: currentTargetLE ? currentTargetLE.slice(0,16)+'...' : null,
+    };
+  }
+
+  return Object.assign(events, {
+    name          : 'solo',
+    label         : () => `node http://${NODE_HOST}:${NODE_PORT}`,
+    coinbase      : COINBASE,
+    rpc,
+    start,
+    stop,
+    isReady       : () => !!currentTemplate && nodeHealthy,
+    notifyParams  : () => notifyParams(false),
+    usesDifficulty: () => true,
+    initialDiff   : () => 1.0,
+    targetForDiff : diff => diffToTargetLE(diff),
+    extranonce,
+    fullNonce     : (miner, en2, nonce) => (nonce ? buildFullNonce(miner, en2, nonce) : null),
+    release       : () => {},   // slices are found by scanning connected miners, nothing to free
+    submit,
+    summary,
+    details,
+  });
+}
+
+module.exports = { createSoloBackend };
@@ -5,11 +5,11 @@ LOG_FILE="$PROXY_DIR/proxy.log"
 
 # Determine mode from config.json
 MODE=$(node -e "try{const c=require('$PROXY_DIR/config.json');console.log(c.mode||'pool')}catch(e){console.log('pool')}" 2>/dev/null)
+# Both modes run in proxy.js; this is only the starting mode (switchable via /admin/mode)
+SCRIPT="$PROXY_DIR/proxy.js"
 if [ "$MODE" = "solo" ]; then
-  SCRIPT="$PROXY_DIR/solo-proxy.js"
   echo "Mode: SOLO (direct to local CKB node)"
 else
-  SCRIPT="$PROXY_DIR/proxy.js"
   echo "Mode: POOL (upstream pool relay)"
 fi
 
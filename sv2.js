@@ -0,0 +1,186 @@
+/**
+ * sv2.js — Stratum V2 mining protocol framing and messages, CKB flavour
+ *
+ * Plain-TCP SV2 (no Noise handshake yet). Every frame is
+ *   extension_type u16 (bit 15 = channel message) | msg_type u8 | msg_length u24 | payload
+ * with all integers little-endian, as in the SV2 spec.
+ *
+ * Only standard channels are supported, and only the messages a header-only
+ * miner needs. They keep their SV2 type ids and field order, with two fields
+ * changed for CKB's 32-byte pow_hash + 16-byte nonce:
+ *   NewMiningJob.merkle_root      → pow_hash  U256 (blake2b of the raw header, as hashed)
+ *   SubmitSharesStandard.nonce    → nonce     U128 (the full 16-byte nonce, as hashed)
+ * A share is eaglesong(pow_hash || nonce); the nonce must start with the
+ * channel's extranonce_prefix. version / ntime are carried but unused.
+ * A clean job (new parent) is sent as a future NewMiningJob followed by
+ * SetNewPrevHash, which per SV2 drops all older jobs; its prev_hash and nbits
+ * are zero since a CKB miner only needs pow_hash.
+ *
+ * U256 / U128 / B0_32 values are hex strings of the wire bytes (so targets
+ * are the same little-endian hex used by mining.set_target).
+ *
+ * References:
+ *   https://github.com/stratum-mining/sv2-spec
+ */
+'use strict';
+
+const CHANNEL_MSG = 0x8000;
+const HEADER_SIZE = 6;
+const MAX_FRAME   = 64 * 1024;   // far above any message we accept
+
+// name → [msg_type, channel message?, fields]
+const MESSAGES = {
+  SetupConnection: [0x00, false, [
+    ['protocol', 'u8'], ['min_version', 'u16'], ['max_version', 'u16'], ['flags', 'u32'],
+    ['endpoint_host', 'str'], ['endpoint_port', 'u16'],
+    ['vendor', 'str'], ['hardware_version', 'str'], ['firmware', 'str'], ['device_id', 'str'],
+  ]],
+  SetupConnectionSuccess: [0x01, false, [['used_version', 'u16'], ['flags', 'u32']]],
+  SetupConnectionError  : [0x02, false, [['flags', 'u32'], ['error_code', 'str']]],
+
+  OpenStandardMiningChannel: [0x10, false, [
+    ['request_id', 'u32'], ['user_identity', 'str'], ['nominal_hash_rate', 'f32'], ['max_target', 'u256'],
+  ]],
+  OpenStandardMiningChannelSuccess: [0x11, false, [
+    ['request_id', 'u32'], ['channel_id', 'u32'], ['target', 'u256'], ['extranonce_prefix', 'b032'], ['group_channel_id', 'u32'],
+  ]],
+  OpenMiningChannelError: [0x12, false, [['request_id', 'u32'], ['error_code', 'str']]],
+
+  NewMiningJob: [0x15, true, [
+    ['channel_id', 'u32'], ['job_id', 'u32'], ['min_ntime', 'optu32'], ['version', 'u32'], ['pow_hash', 'u256'],
+  ]],
+  CloseChannel       : [0x18, true, [['channel_id', 'u32'], ['reason_code', 'str']]],
+  SetExtranoncePrefix: [0x19, true, [['channel_id', 'u32'], ['extranonce_prefix', 'b032']]],
+
+  SubmitSharesStandard: [0x1a, true, [
+    ['channel_id', 'u32'], ['sequence_number', 'u32'], ['job_id', 'u32'], ['nonce', 'u128'], ['ntime', 'u32'], ['version', 'u32'],
+  ]],
+  SubmitSharesSuccess: [0x1c, true, [
+    ['channel_id', 'u32'], ['last_sequence_number', 'u32'], ['new_submits_accepted_count', 'u32'], ['new_shares_sum', 'u64'],
+  ]],
+  SubmitSharesError: [0x1d, true, [['channel_id', 'u32'], ['sequence_number', 'u32'], ['error_code', 'str']]],
+
+  SetNewPrevHash: [0x20, true, [
+    ['channel_id', 'u32'], ['job_id', 'u32'], ['prev_hash', 'u256'], ['min_ntime', 'u32'], ['nbits', 'u32'],
+  ]],
+  SetTarget: [0x21, true, [['channel_id', 'u32'], ['maximum_target', 'u256']]],
+};
+
+const BY_TYPE = new Map(Object.entries(MESSAGES).map(([name, [type]]) => [type, name]));
+
+// ── Field codecs ──────────────────────────────────────────────────────────────
+function fixedHex(size) {
+  return {
+    write: v => {
+      const b = Buffer.from(String(v || '').replace(/^0x/, ''), 'hex');
+      if (b.length !== size) throw new Error(`expected ${size} bytes, got ${b.length}`);
+      return b;
+    },
+    read: r => r.take(size).toString('hex'),
+  };
+}
+
+const FIELD = {
+  u8 : { write: v => Buffer.from([v & 0xff]),                                  read: r => r.take(1)[0] },
+  u16: { write: v => { const b = Buffer.alloc(2); b.writeUInt16LE(v >>> 0); return b; }, read: r => r.take(2).readUInt16LE(0) },
+  u32: { write: v => { const b = Buffer.alloc(4); b.writeUInt32LE(v >>> 0); return b; }, read: r => r.take(4).readUInt32LE(0) },
+  u64: { write: v => { const b = Buffer.alloc(8); b.writeBigUInt64LE(BigInt(v)); return b; }, read: r => Number(r.take(8).readBigUInt64LE(0)) },
+  f32: { write: v => { const b = Buffer.alloc(4); b.writeFloatLE(v || 0); return b; },  read: r => r.take(4).readFloatLE(0) },
+  str: {
+    write: v => {
+      const s = Buffer.from(String(v ?? ''), 'utf8');
+      if (s.length > 255) throw new Error('STR0_255 longer than 255 bytes');
+      return Buffer.concat([Buffer.from([s.length]), s]);
+    },
+    read: r => r.take(r.take(1)[0]).toString('utf8'),
+  },
+  b032: {
+    write: v => {
+      const b = Buffer.from(String(v || '').replace(/^0x/, ''), 'hex');
+      if (b.length > 32) throw new Error('B0_32 longer than 32 bytes');
+      return Buffer.concat([Buffer.from([b.length]), b]);
+    },
+    read: r => {
+      const len = r.take(1)[0];
+      if (len > 32) throw new Error('B0_32 longer than 32 bytes');
+      return r.take(len).toString('hex');
+    },
+  },
+  optu32: {
+    write: v => v == null ? Buffer.from([0]) : Buffer.concat([Buffer.from([1]), FIELD.u32.write(v)]),
+    read : r => r.take(1)[0] ? FIELD.u32.read(r) : null,
+  },
+  u128: fixedHex(16),
+  u256: fixedHex(32),
+};
+
+function reader(buf) {
+  let pos = 0;
+  return {
+    take(n) {
+      if (pos + n > buf.length) throw new Error('truncated message');
+      const out = buf.subarray(pos, pos + n);
+      pos += n;
+      return out;
+    },
+  };
+}
+
+// ── Frames ────────────────────────────────────────────────────────────────────
+/** encode(name, fields) → Buffer holding one complete frame */
+function encode(name, fields) {
+  const def = MESSAGES[name];
+  if (!def) throw new Error(`unknown SV2 message ${name}`);
+  const [type, channelMsg, layout] = def;
+  const payload = Buffer.concat(layout.map(([key, kind]) => FIELD[kind].write(fields[key])));
+  const header  = Buffer.alloc(HEADER_SIZE);
+  header.writeUInt16LE(channelMsg ? CHANNEL_MSG : 0, 0);
+  header[2] = type;
+  header.writeUIntLE(payload.length, 3, 3);
+  return Buffer.concat([header, payload]);
+}
+
+/** decode(msgType, payload) → { type: name, ...fields }, or { type: null, msgType } if unknown */
+function decode(msgType, payload) {
+  const name = BY_TYPE.get(msgType);
+  if (!name) return { type: null, msgType };
+  const r   = reader(payload);
+  const msg = { type: name };
+  for (const [key, kind] of MESSAGES[name][2]) msg[key] = FIELD[kind].read(r);
+  return msg;
+}
+
+/**
+ * createFrameParser(onMessage, onError) → push(chunk)
+ * Reassembles frames from a TCP stream and hands each decoded message to
+ * onMessage. A malformed or oversized frame calls onError once and stops.
+ */
+function createFrameParser(onMessage, onError) {
+  let buf    = Buffer.alloc(0);
+  let failed = false;
+  return function push(chunk) {
+    if (failed) return;
+    buf = Buffer.concat([buf, chunk]);
+    while (buf.length >= HEADER_SIZE) {
+      const len = buf.readUIntLE(3, 3);
+      if (len > MAX_FRAME) {
+        failed = true;
+        return onError(new Error(`frame of ${len} bytes exceeds ${MAX_FRAME}`));
+      }
+      if (buf.length < HEADER_SIZE + len) return;
+      const msgType = buf[2];
+      const payload = buf.subarray(HEADER_SIZE, HEADER_SIZE + len);
+      buf = buf.subarray(HEADER_SIZE + len);
+      let msg;
+      try {
+        msg = decode(msgType, payload);
+      } catch (e) {
+        failed = true;
+        return onError(new Error(`bad message 0x${msgType.toString(16)}: ${e.message}`));
+      }
+      onMessage(msg);
+    }
+  };
+}
+
+module.exports = { encode, decode, createFrameParser, MESSAGES };
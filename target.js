@@ -0,0 +1,83 @@
+/**
+ * target.js — CKB target / difficulty helpers
+ *
+ * Targets travel as 64-char little-endian hex (the byte order of mining.set_target
+ * and of the Eaglesong output). Larger target = easier.
+ */
+'use strict';
+
+const MAX256 = (1n << 256n) - 1n;
+
+// Standard CKB stratum diff=1 reference: 2^224
+// This matches industry convention — hashes/share at diff=1 = 2^32
+const DIFF1_TARGET = (1n << 224n);
+
+/** Hex LE string → BigInt (little-endian byte order), or null unless it's 64 hex chars */
+function hexLEToBigInt(hex) {
+  if (typeof hex !== 'string' || !/^[0-9a-f]{64}$/i.test(hex)) return null;
+  // reverse bytes for big-endian interpretation
+  let beHex = '';
+  for (let i = 62; i >= 0; i -= 2) beHex += hex.slice(i, i+2);
+  return BigInt('0x' + beHex);
+}
+
+/** BigInt → hex LE string (64 chars) */
+function bigIntToHexLE(n) {
+  if (n <= 0n) return '0'.repeat(64);
+  if (n > MAX256) n = MAX256;
+  let beHex = n.toString(16).padStart(64, '0');
+  let leHex = '';
+  for (let i = 62; i >= 0; i -= 2) leHex += beHex.slice(i, i+2);
+  return leHex;
+}
+
+/** compact_target (nBits-style u32) → hex LE target */
+function compactToTargetLE(compact) {
+  const c   = BigInt(compact);
+  const exp = c >> 24n;
+  const man = c & 0xffffffn;
+  const n   = (exp <= 3n) ? (man >> (8n * (3n - exp))) : (man << (8n * (exp - 3n)));
+  return bigIntToHexLE(n);
+}
+
+/**
+ * diffToTargetLE(diff) → hex LE target relative to DIFF1_TARGET
+ *   diff=1 → 2^224 (easy, ~1 share per 2^32 hashes at any hashrate)
+ *   diff=N → 2^224/N (N times harder, N times fewer shares)
+ */
+function diffToTargetLE(diff) {
+  if (diff <= 0) return bigIntToHexLE(DIFF1_TARGET);
+  const diffBig = BigInt(Math.round(diff * 1_000_000));
+  if (diffBig === 0n) return bigIntToHexLE(MAX256);
+  return bigIntToHexLE((DIFF1_TARGET * 1_000_000n) / diffBig);
+}
+
+/**
+ * scaleTarget(baseTarget, baseDiff, diff) → hex LE
+ * Target for `diff` given a target that corresponds to `baseDiff`:
+ *   target = baseTarget × (baseDiff / diff)
+ * Diffs are scaled by 1e6 so fractional difficulties keep their precision.
+ */
+function scaleTarget(baseTarget, baseDiff, diff) {
+  const baseDiffScaled = BigInt(Math.round(baseDiff * 1_000_000));
+  const diffScaled     = BigInt(Math.round(diff     * 1_000_000));
+  if (diffScaled === 0n) return bigIntToHexLE(MAX256);
+  return bigIntToHexLE(((hexLEToBigInt(baseTarget) ?? 0n) * baseDiffScaled) / diffScaled);
+}
+
+/**
+ * targetToDiff(target, diff1Target) → difficulty of an LE hex target, or null
+ * for a zero / malformed one. diff1Target (LE hex) defaults to 2^224; pass the
+ * job source's own diff-1 target where difficulties are scaled from a pool's.
+ */
+function targetToDiff(target, diff1Target) {
+  const t  = hexLEToBigInt(String(target || '').toLowerCase().replace(/^0x/, ''));
+  const d1 = diff1Target ? hexLEToBigInt(diff1Target) : DIFF1_TARGET;
+  if (!t || !d1) return null;
+  return Number((d1 * 1_000_000n) / t) / 1_000_000;
+}
+
+module.exports = {
+  MAX256, DIFF1_TARGET,
+  hexLEToBigInt, bigIntToHexLE, compactToTargetLE, diffToTargetLE, targetToDiff, scaleTarget,
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChainInfo } = require('../chain-info.js');
+
+const TIP = {
+  number        : '0x3e8',                                            // 1000
+  hash          : '0x' + 'ab'.repeat(32),
+  timestamp     : '0x18c8d3a2b00',
+  compact_target: '0x20010000',                                       // target 2^248
+  epoch         : '0x' + ((1800n << 40n) | (100n << 24n) | 5n).toString(16),   // epoch 5, block 100 of 1800
+};
+
+const REWARD = { primary: '0x2540be400', secondary: '0x5f5e100', committed: '0x989680', proposal: '0x0' };
+
+/** An rpc(method, params) over a table of handlers, counting calls */
+function fakeRpc(handlers) {
+  const calls = [];
+  const rpc = async (method, params) => {
+    calls.push(method);
+    if (!handlers[method]) throw new Error(`no ${method}`);
+    return handlers[method](params);
+  };
+  return { rpc, calls };
+}
+
+test('the snapshot has the tip, epoch, network difficulty and the finalized reward', async () => {
+  const { rpc } = fakeRpc({
+    get_tip_header          : () => TIP,
+    get_header_by_number    : ([n]) => (assert.equal(n, '0x3dd'), { hash: '0x' + 'cd'.repeat(32) }),
+    get_block_economic_state: () => ({ miner_reward: REWARD }),
+  });
+  const info = await createChainInfo({ rpc, config: { pools: [{ name: 'viabtc' }], chain: { poolFee: 0.03 } } }).get();
+  assert.equal(info.tip.number, 1000);
+  assert.deepEqual(info.epoch, { number: 5, index: 100, length: 1800 });
+  assert.deepEqual(info.network, { difficulty: 255, avgBlockTimeSec: 8, hashrate: 255 / 8 });
+  assert.deepEqual(info.reward, { height: 989, source: 'get_block_economic_state', ckb: 101.1, primary: 100, secondary: 1, fees: 0.1 });
+  assert.deepEqual(info.pool, { name: 'viabtc', fee: 0.03 });
+  assert.equal(info.price, null);
+  assert.equal(info.error, null);
+});
+
+test('without get_block_economic_state the reward comes from the tip cellbase', async () => {
+  const { rpc } = fakeRpc({
+    get_tip_header: () => TIP,
+    get_block     : () => ({ transactions: [{ outputs: [{ capacity: '0x2540be400' }, { capacity: '0x5f5e100' }] }] }),
+  });
+  const info = await createChainInfo({ rpc, config: {} }).get();
+  assert.deepEqual(info.reward, { height: 989, source: 'cellbase', ckb: 101 });
+});
+
+test('node reads are cached for refreshSec, and a failed one keeps the last good values', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_800_000_000_000 });
+  let up = true;
+  const { rpc, calls } = fakeRpc({
+    get_tip_header: () => { if (!up) throw new Error('connect ECONNREFUSED'); return TIP; },
+    get_block     : () => ({ transactions: [{ outputs: [] }] }),
+  });
+  const chain = createChainInfo({ rpc, config: { chain: { refreshSec: 30 } } });
+  await chain.get();
+  const n = calls.length;
+  await chain.get();
+  assert.equal(calls.length, n);
+
+  up = false;
+  t.mock.timers.tick(30 * 1000);
+  const info = await chain.get();
+  assert.equal(info.error, 'connect ECONNREFUSED');
+  assert.equal(info.tip.number, 1000);
+});
+
+test('with no node answering, the snapshot is empty with the error', async () => {
+  const info = await createChainInfo({ rpc: fakeRpc({}).rpc, config: {} }).get();
+  assert.equal(info.tip, null);
+  assert.equal(info.error, 'no get_tip_header');
+});
+
+test('a pool fee outside 0..1 or a price url that is not http(s) is a config error', () => {
+  assert.throws(() => createChainInfo({ rpc: null, config: { chain: { poolFee: 2 } } }), /chain.poolFee/);
+  assert.throws(() => createChainInfo({ rpc: null, config: { chain: { price: { url: 'file:///etc/passwd' } } } }), /chain.price.url/);
+});
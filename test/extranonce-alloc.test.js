@@ -0,0 +1,58 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createExtranonceAllocator, prefixWidth } = require('../extranonce-alloc.js');
+
+test('the suffix width follows the pool extranonce2Size', () => {
+  assert.deepEqual([8, 4, 3, 2, 1, 0].map(prefixWidth), [2, 2, 1, 1, 0, 0]);
+  const alloc = createExtranonceAllocator();
+  assert.equal(alloc.allocate(1), '0000');
+  assert.equal(alloc.resize(2), true);
+  assert.equal(alloc.suffixOf(1), null);
+  assert.equal(alloc.allocate(1), '00');
+  assert.equal(alloc.resize(3), false);
+});
+
+test('when every suffix is in use the next miner gets null', () => {
+  const alloc = createExtranonceAllocator();
+  alloc.resize(2);
+  const suffixes = new Set();
+  for (let id = 1; id <= 256; id++) suffixes.add(alloc.allocate(id));
+  assert.equal(suffixes.size, 256);
+  assert.equal(alloc.allocate(257), null);
+  assert.equal(alloc.allocate(12), alloc.suffixOf(12));   // a miner keeps the suffix it has
+  alloc.release(12);
+  assert.notEqual(alloc.allocate(257), null);
+  assert.deepEqual(alloc.stats(), { width: 1, capacity: 256, used: 256, heldForResume: 0 });
+});
+
+test('with no room for a suffix there is a single miner', () => {
+  const alloc = createExtranonceAllocator();
+  alloc.resize(1);
+  assert.equal(alloc.allocate(1), '');
+  assert.equal(alloc.allocate(2), null);
+});
+
+test('a freed suffix is held back for the session that had it', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_800_000_000_000 });
+  const alloc = createExtranonceAllocator({ resumeSec: 60 });
+  const old = alloc.allocate(1);
+  alloc.release(1);
+  assert.notEqual(alloc.allocate(2), old);
+  assert.equal(alloc.allocate(3, old), old);
+  assert.equal(alloc.allocate(4, old), alloc.suffixOf(4));
+  assert.notEqual(alloc.suffixOf(4), old);
+});
+
+test('once only held suffixes are left, the one freed longest ago is reused', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_800_000_000_000 });
+  const alloc = createExtranonceAllocator({ resumeSec: 60 });
+  alloc.resize(2);
+  for (let id = 0; id < 256; id++) alloc.allocate(id);
+  alloc.release(7);
+  t.mock.timers.tick(1000);
+  alloc.release(3);
+  assert.equal(alloc.allocate(300), '07');
+  assert.equal(alloc.allocate(301), '03');
+});
@@ -0,0 +1,62 @@
+/**
+ * fake-pool.js — a Stratum pool for the tests
+ *
+ * Takes any worker, sends one clean job with an easy target after authorize
+ * and answers every mining.submit with `accept` (default true). What it
+ * received is kept in `submits`; broadcast() sends to every connection.
+ */
+'use strict';
+
+const net = require('node:net');
+
+const POW_HASH = 'ab'.repeat(32);
+const EXTRANONCE1 = 'aabbccdd';
+
+async function startFakePool({ extranonce1 = EXTRANONCE1, extranonce2Size = 8 } = {}) {
+  const sockets = new Set();
+  const pool = {
+    port   : 0,
+    submits: [],   // mining.submit params, oldest first
+    accept : true,
+    broadcast(obj) { for (const s of sockets) s.write(JSON.stringify(obj) + '\n'); },
+    close() {
+      for (const s of sockets) s.destroy();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    const send = obj => socket.write(JSON.stringify(obj) + '\n');
+    let buf = '';
+    socket.on('data', data => {
+      buf += data.toString();
+      let nl;
+      while ((nl = buf.indexOf('\n')) !== -1) {
+        const msg = JSON.parse(buf.slice(0, nl));
+        buf = buf.slice(nl + 1);
+        if (msg.method === 'mining.subscribe') {
+          send({ id: msg.id, result: [null, extranonce1, extranonce2Size], error: null });
+        } else if (msg.method === 'mining.extranonce.subscribe') {
+          send({ id: msg.id, result: true, error: null });
+        } else if (msg.method === 'mining.authorize') {
+          send({ id: msg.id, result: true, error: null });
+          send({ id: null, method: 'mining.set_target', params: ['ff'.repeat(32)] });
+          send({ id: null, method: 'mining.notify', params: ['job1', POW_HASH, 100, 'p', 'ffff', 1, '0x0', true] });
+        } else if (msg.method === 'mining.submit') {
+          pool.submits.push(msg.params);
+          send({ id: msg.id, result: pool.accept, error: pool.accept ? null : [23, 'Low difficulty share', null] });
+        } else {
+          send({ id: msg.id, result: false, error: [20, 'unknown', null] });
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  pool.port = server.address().port;
+  return pool;
+}
+
+module.exports = { startFakePool, POW_HASH, EXTRANONCE1 };
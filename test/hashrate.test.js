@@ -0,0 +1,38 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHashrateMeter } = require('../hashrate.js');
+
+const T0  = 1_800_000_000_000;   // on a 30 s bucket boundary
+const MIN = 60 * 1000;
+const H   = 2 ** 32;             // hashes per diff-1 share
+
+test('a young meter divides by its age, not the whole window', () => {
+  const meter = createHashrateMeter(T0);
+  meter.record(2, T0 + 10_000);
+  assert.equal(meter.rate(300, T0 + MIN), 2 * H / 60);
+  assert.equal(meter.rate(3600, T0 + MIN), 2 * H / 60);
+});
+
+test('each window counts only the shares inside it', () => {
+  const meter = createHashrateMeter(T0);
+  const now   = T0 + 120 * MIN;
+  meter.record(4, now - 30 * MIN);   // inside 1h and 24h only
+  meter.record(1, now - MIN);        // inside every window
+  const r = meter.rates(now);
+  // Whole buckets: a window reaches back to the bucket boundary after now - window
+  assert.equal(r['5m'], Math.round(1 * H / 270));
+  assert.equal(r['1h'], Math.round(5 * H / 3570));
+  assert.equal(r['24h'], Math.round(5 * H / 7200));
+});
+
+test('shares older than the longest window are dropped, and non-positive diffs ignored', () => {
+  const meter = createHashrateMeter(T0);
+  meter.record(1, T0 + MIN);
+  meter.record(0, T0 + MIN);
+  meter.record(-3, T0 + MIN);
+  assert.ok(meter.rate(86400, T0 + 2 * MIN) > 0);
+  meter.record(1e-9, T0 + 26 * 60 * MIN);   // prunes the old bucket
+  assert.ok(meter.rate(86400, T0 + 26 * 60 * MIN) < 1);
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('node:fs');
+const os   = require('node:os');
+const path = require('node:path');
+const { createHistory, parseRange } = require('../history.js');
+
+const T0  = 1_800_000_000_000;   // on a 15-minute boundary
+const MIN = 60 * 1000;
+const H   = 2 ** 32;
+
+/** Let the minute timers fire and their async close finish */
+async function advance(t, ms) {
+  t.mock.timers.tick(ms);
+  for (let i = 0; i < 5; i++) await new Promise(setImmediate);
+}
+
+function startHistory(t, opts, sample = async () => ({})) {
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: T0 });
+  const history = createHistory(opts);
+  history.start(sample);
+  t.after(() => history.stop());
+  return history;
+}
+
+test('ranges read as minutes, hours or days', () => {
+  assert.deepEqual(['90m', '6h', '7d'].map(parseRange), [5400, 21600, 604800]);
+  for (const bad of ['0h', '6w', 'h', '', null, '1.5h']) assert.equal(parseRange(bad), null, String(bad));
+});
+
+test('each minute becomes a point with its shares and the sampled difficulties', async t => {
+  const history = startHistory(t, {}, async () => ({ difficulty: { rig1: 4 }, totalDifficulty: 4, networkDifficulty: 1000 }));
+  history.recordShare('rig1', true, 2);
+  history.recordShare('rig1', false, 2);
+  await advance(t, MIN);
+
+  const expected = { t: T0, hashrate: Math.round(2 * H / 60), accepted: 1, rejected: 1, rejectRate: 0.5, difficulty: 4, networkDifficulty: 1000 };
+  assert.deepEqual(history.query('rig1', 3600), { resolution: '1m', stepSec: 60, points: [expected] });
+  assert.deepEqual(history.query('', 3600).points, [expected]);
+  assert.deepEqual(history.workers(), ['rig1']);
+});
+
+test('every 15 minutes the minutes are rolled up, and long ranges read the roll-up', async t => {
+  const history = startHistory(t, {});
+  for (let i = 0; i < 15; i++) {
+    history.recordShare('rig1', true, 1);
+    await advance(t, MIN);
+  }
+  const { resolution, points } = history.query('rig1', 7 * 86400);
+  assert.equal(resolution, '15m');
+  assert.deepEqual(points.map(p => [p.t, p.hashrate, p.accepted]), [[T0, Math.round(H / 60), 15]]);
+  assert.equal(history.query('rig1', 3600).points.length, 15);
+});
+
+test('past maxWorkers a new worker only counts towards the total', async t => {
+  const history = startHistory(t, { maxWorkers: 1 });
+  history.recordShare('rig1', true, 1);
+  history.recordShare('rig2', true, 1);
+  await advance(t, MIN);
+  assert.deepEqual(history.workers(), ['rig1']);
+  assert.equal(history.query('', 3600).points[0].accepted, 2);
+  assert.deepEqual(history.query('rig2', 3600).points, []);
+});
+
+test('saved series are loaded again at start', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ckb-history-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const first = startHistory(t, { dir });
+  first.recordShare('rig1', true, 1);
+  await advance(t, MIN);
+  first.save();
+  first.stop();
+
+  const again = createHistory({ dir });
+  again.start();
+  t.after(() => again.stop());
+  assert.deepEqual(again.query('rig1', 3600), first.query('rig1', 3600));
+});
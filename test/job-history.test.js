@@ -0,0 +1,32 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobHistory } = require('../job-history.js');
+
+test('keeps the newest jobs and drops the oldest past its size', () => {
+  const jobs = createJobHistory(2);
+  jobs.add('a', 1);
+  jobs.add('b', 2);
+  jobs.add('c', 3);
+  assert.equal(jobs.get('a'), undefined);
+  assert.deepEqual(jobs.ids(), ['b', 'c']);
+});
+
+test('a job added again moves to the newest slot', () => {
+  const jobs = createJobHistory(2);
+  jobs.add('a', 1);
+  jobs.add('b', 2);
+  jobs.add('a', 3);
+  jobs.add('c', 4);
+  assert.deepEqual(jobs.ids(), ['a', 'c']);
+  assert.equal(jobs.get('a'), 3);
+});
+
+test('ids are matched as strings and clear() empties it', () => {
+  const jobs = createJobHistory();
+  jobs.add(7, 'x');
+  assert.equal(jobs.get('7'), 'x');
+  jobs.clear();
+  assert.equal(jobs.size, 0);
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMinerGuard } = require('../miner-guard.js');
+
+const T0 = 1_800_000_000_000;
+
+test('offences add up to a ban at banScore, and the banned address is refused', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: T0 });
+  const banned = [];
+  const guard  = createMinerGuard({}, (ip, reason, sec) => banned.push({ ip, reason, sec }));
+  for (let i = 0; i < 9; i++) assert.equal(guard.penalize('::ffff:10.0.0.1', 'authFailure'), false);
+  assert.equal(guard.admit('10.0.0.1'), null);
+  assert.equal(guard.penalize('10.0.0.1', 'authFailure'), true);
+  assert.deepEqual(banned, [{ ip: '10.0.0.1', reason: 'ban score 100 (last: authFailure)', sec: 600 }]);
+  assert.match(guard.admit('::ffff:10.0.0.1'), /^banned for 600s more/);
+  assert.equal(guard.admit('10.0.0.2'), null);
+
+  t.mock.timers.tick(600 * 1000);
+  assert.equal(guard.admit('10.0.0.1'), null);
+  assert.deepEqual(guard.bans(), []);
+});
+
+test('an oversize message bans at once', () => {
+  const guard = createMinerGuard({});
+  assert.equal(guard.penalize('10.0.0.3', 'oversize'), true);
+  assert.equal(guard.bans()[0].ip, '10.0.0.3');
+});
+
+test('the score halves every banScoreHalfLifeSec', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: T0 });
+  const guard = createMinerGuard({ banScoreHalfLifeSec: 60 });
+  for (let i = 0; i < 9; i++) guard.penalize('10.0.0.4', 'malformed');
+  t.mock.timers.tick(60 * 1000);
+  assert.equal(guard.stats().banScores[0].score, 45);
+  for (let i = 0; i < 5; i++) assert.equal(guard.penalize('10.0.0.4', 'malformed'), false);
+  assert.equal(guard.penalize('10.0.0.4', 'malformed'), true);
+});
+
+test('share errors count by code: stale and upstream errors cost nothing', () => {
+  const guard = createMinerGuard({ banScore: 10 });
+  assert.equal(guard.penalize('10.0.0.5', 21), false);
+  assert.equal(guard.penalize('10.0.0.5', 20), false);
+  assert.deepEqual(guard.stats().banScores, []);
+  assert.equal(guard.penalize('10.0.0.5', 22), false);
+  assert.equal(guard.penalize('10.0.0.5', 23), true);
+});
+
+test('banSec 0 never bans', () => {
+  const guard = createMinerGuard({ banSec: 0 });
+  assert.equal(guard.penalize('10.0.0.6', 'oversize'), false);
+  assert.equal(guard.admit('10.0.0.6'), null);
+});
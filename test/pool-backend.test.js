@@ -0,0 +1,65 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPoolBackend } = require('../pool-backend.js');
+const { startFakePool } = require('./fake-pool.js');
+
+let pool, backend;
+
+before(async () => {
+  pool    = await startFakePool();
+  backend = createPoolBackend({ pools: [{ name: 'fake', host: '127.0.0.1', port: pool.port, user: 'u' }] });
+  const job = new Promise(resolve => backend.once('job', resolve));
+  backend.start();
+  await job;
+});
+
+after(async () => {
+  backend?.stop();
+  await pool?.close();
+});
+
+function subscribedMiner(id) {
+  const miner = { id, worker: `rig${id}` };
+  Object.assign(miner, backend.extranonce(miner));
+  return miner;
+}
+
+test('a nonce that cannot be read is rejected locally, not forwarded', async () => {
+  const miner = subscribedMiner(1);
+  const en2   = '00'.repeat(miner.extranonce2Size);
+  for (const nonce of [{}, 'zz', '12'.repeat(17)]) {
+    const res = await backend.submit(miner, { jobId: 'job1', en2, ntime: '0', nonce }, null);
+    assert.deepEqual(res.error, [20, 'Invalid nonce', null]);
+  }
+  assert.equal(pool.submits.length, 0);
+});
+
+test('an extranonce2 that is not extranonce2Size bytes of hex is rejected locally, not forwarded', async () => {
+  const miner = subscribedMiner(6);
+  for (const en2 of ['zz', 'zz'.repeat(miner.extranonce2Size), '00', '00'.repeat(miner.extranonce2Size + 1), {}]) {
+    const res = await backend.submit(miner, { jobId: 'job1', en2, ntime: '0', nonce: '12'.repeat(8) }, null);
+    assert.deepEqual(res.error, [20, 'Invalid nonce', null]);
+  }
+  assert.equal(pool.submits.length, 0);
+});
+
+test('a 0x-prefixed nonce and extranonce2 are checked and forwarded without the prefix', async () => {
+  const miner = subscribedMiner(2);
+  const en2   = 'AB'.repeat(miner.extranonce2Size);
+  const res = await backend.submit(miner, { jobId: 'job1', en2: '0x' + en2, ntime: '0', nonce: '0x' + '12'.repeat(8) }, null);
+  assert.equal(res.result, true);
+  const [, , fullEn2, , nonce] = pool.submits.at(-1);
+  assert.equal(fullEn2, miner.extranonce1.slice(-4) + en2.toLowerCase());
+  assert.equal(nonce, '12'.repeat(8));
+});
+
+test('a miner resubscribing with its old extranonce1 gets the same suffix back', () => {
+  const miner = subscribedMiner(3);
+  const session = miner.extranonce1;
+  backend.release(miner);
+  assert.notEqual(subscribedMiner(4).extranonce1, session);
+  const back = { id: 5 };
+  assert.equal(backend.extranonce(back, session).extranonce1, session);
+});
@@ -0,0 +1,418 @@
+/**
+ * proxy.test.js — miner-facing behaviour of the daemon
+ *
+ * Starts proxy.js in pool mode against a fake pool (fake-pool.js), with a
+ * throwaway config and share store, and talks Stratum to it over TCP.
+ */
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs   = require('node:fs');
+const http = require('node:http');
+const net  = require('node:net');
+const os   = require('node:os');
+const path = require('node:path');
+
+const { startFakePool, EXTRANONCE1 } = require('./fake-pool.js');
+
+const PROXY = path.join(__dirname, '..', 'proxy.js');
+
+let dir, pool, proxy, port, statsPort, output = '';
+
+/** A port nothing is listening on right now */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+    srv.on('error', reject);
+  });
+}
+
+/** Start proxy.js on a throwaway config written to <dir>/<name>.json; its output is collected in `output` */
+function spawnProxy(name, config) {
+  const file = path.join(dir, `${name}.json`);
+  fs.writeFileSync(file, JSON.stringify(config));
+  const child = spawn(process.execPath, [PROXY], {
+    env  : { ...process.env, CKB_PROXY_CONFIG: file },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  child.stdout.on('data', d => { output += d; });
+  child.stderr.on('data', d => { output += d; });
+  return child;
+}
+
+/** Resolves once the daemon's miner port accepts connections, rejects if it exits first */
+async function waitForListener(child = proxy, minerPort = port) {
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) throw new Error(`proxy exited (${child.exitCode}):\n${output}`);
+    const up = await new Promise(resolve => {
+      const s = net.connect(minerPort, '127.0.0.1', () => { s.destroy(); resolve(true); });
+      s.on('error', () => resolve(false));
+    });
+    if (up) return;
+    await new Promise(r => setTimeout(r, 100));
+  }
+  throw new Error(`proxy never listened:\n${output}`);
+}
+
+/**
+ * A Stratum client: send(obj) writes a line, reply(id) resolves with the
+ * response carrying that id, notification(method) with the next server
+ * message of that method not yet taken.
+ */
+function connectMiner() {
+  return new Promise((resolve, reject) => {
+    const socket  = net.connect(port, '127.0.0.1');
+    const replies = [];
+    const waiting = [];
+    let buf = '';
+    socket.on('data', data => {
+      buf += data.toString();
+      let nl;
+      while ((nl = buf.indexOf('\n')) !== -1) {
+        const msg = JSON.parse(buf.slice(0, nl));
+        buf = buf.slice(nl + 1);
+        replies.push(msg);
+        for (const w of waiting.splice(0)) w();
+      }
+    });
+    socket.on('close', () => { for (const w of waiting.splice(0)) w(); });
+    socket.on('error', reject);
+    socket.on('connect', () => resolve({
+      send : obj => socket.write((typeof obj === 'string' ? obj : JSON.stringify(obj)) + '\n'),
+      close: () => socket.destroy(),
+      reply       : id => next(r => r.id === id && r.method === undefined, `reply to id ${id}`),
+      notification: method => next(r => r.method === method, method),
+      closed      : () => socket.destroyed,
+    }));
+
+    async function next(match, what) {
+      const deadline = Date.now() + 3000;
+      for (;;) {
+        const i = replies.findIndex(match);
+        if (i !== -1) return replies.splice(i, 1)[0];
+        if (socket.destroyed || Date.now() > deadline) throw new Error(`no ${what}\n${output}`);
+        await new Promise(r => { waiting.push(r); setTimeout(r, 100); });
+      }
+    }
+  });
+}
+
+/** A subscribed and authorized miner that has its first job: { m, en1, en2Size, job } */
+async function readyMiner(worker) {
+  const m = await connectMiner();
+  m.send({ id: 1, method: 'mining.subscribe', params: ['test-miner'] });
+  const [, en1, en2Size] = (await m.reply(1)).result;
+  m.send({ id: 2, method: 'mining.authorize', params: [worker, 'x'] });
+  assert.equal((await m.reply(2)).result, true);
+  const job = (await m.notification('mining.notify')).params;
+  return { m, en1, en2Size, job };
+}
+
+/** The daemon is still up and answering on a fresh connection */
+async function assertAlive() {
+  assert.equal(proxy.exitCode, null, `proxy exited:\n${output}`);
+  const m = await connectMiner();
+  m.send({ id: 99, method: 'mining.suggest_difficulty', params: [1] });
+  assert.equal((await m.reply(99)).result, true);
+  m.close();
+}
+
+before(async () => {
+  dir  = fs.mkdtempSync(path.join(os.tmpdir(), 'ckb-proxy-test-'));
+  pool = await startFakePool();
+  port      = await freePort();
+  statsPort = await freePort();
+  proxy = spawnProxy('config', {
+    mode  : 'pool',
+    pools : [{ name: 'fake', host: '127.0.0.1', port: pool.port, user: 'test' }],
+    local : { host: '127.0.0.1', port, statsPort },
+    limits: { banSec: 0 },
+    vardiff: { workers: { 'silent-*': { initialDiff: 8, targetShareSec: 1, retargetSec: 1 } } },
+    store : { dir: path.join(dir, 'data') },
+  });
+  await waitForListener();
+});
+
+after(async () => {
+  proxy?.kill();
+  await pool?.close();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('params that are not an array get an error instead of crashing the daemon', async () => {
+  const m = await connectMiner();
+  m.send({ id: 1, method: 'mining.authorize', params: 5 });
+  m.send({ id: 2, method: 'mining.submit', params: {} });
+  m.send({ id: 3, method: 'mining.subscribe', params: 'x' });
+  for (const id of [1, 2, 3]) {
+    assert.deepEqual((await m.reply(id)).error, [20, 'Malformed message', null]);
+  }
+  m.close();
+  await assertAlive();
+});
+
+test('a suggested target that is not hex is refused and the daemon keeps running', async () => {
+  const m = await connectMiner();
+  m.send({ id: 1, method: 'mining.suggest_target', params: ['zz'.repeat(32)] });
+  m.send({ id: 2, method: 'mining.suggest_target', params: ['0x' + '00'.repeat(31)] });
+  m.send({ id: 3, method: 'mining.suggest_target', params: [{}] });
+  for (const id of [1, 2, 3]) {
+    assert.deepEqual((await m.reply(id)).error, [20, 'Invalid target', null]);
+  }
+  m.send({ id: 4, method: 'mining.suggest_target', params: ['00'.repeat(28) + 'ffff0000'] });
+  assert.equal((await m.reply(4)).result, true);
+  m.close();
+  await assertAlive();
+});
+
+test('a miner can subscribe and authorize', async () => {
+  const m = await connectMiner();
+  m.send({ id: 1, method: 'mining.subscribe', params: ['test-miner'] });
+  const sub = await m.reply(1);
+  assert.equal(sub.error, null);
+  m.send({ id: 2, method: 'mining.authorize', params: ['rig1', 'x'] });
+  assert.equal((await m.reply(2)).result, true);
+  m.close();
+});
+
+test('a username that is not a non-empty string is refused with error 24', async () => {
+  const m = await connectMiner();
+  m.send({ id: 1, method: 'mining.authorize', params: [5, 'x'] });
+  m.send({ id: 2, method: 'mining.authorize', params: [{ name: 'rig' }, 'x'] });
+  for (const id of [1, 2]) {
+    assert.deepEqual((await m.reply(id)).error, [24, 'Unauthorized worker', null]);
+  }
+  m.close();
+  const m2 = await connectMiner();
+  m2.send({ id: 3, method: 'mining.authorize', params: ['', 'x'] });
+  assert.deepEqual((await m2.reply(3)).error, [24, 'Unauthorized worker', null]);
+  m2.send({ id: 4, method: 'mining.authorize', params: ['rig1', 'x'] });
+  assert.equal((await m2.reply(4)).result, true);
+  m2.close();
+  await assertAlive();
+});
+
+test('miner difficulty metrics are labelled by worker, not by connection', async () => {
+  const rigs = [];
+  for (const id of [1, 2]) {
+    const m = await connectMiner();
+    m.send({ id, method: 'mining.authorize', params: ['metrics-rig', 'x'] });
+    assert.equal((await m.reply(id)).result, true);
+    rigs.push(m);
+  }
+  const text  = await (await fetch(`http://127.0.0.1:${statsPort}/metrics`)).text();
+  const lines = text.split('\n').filter(l => l.startsWith('ckb_proxy_miner_difficulty{'));
+  assert.ok(lines.every(l => !/\bminer=/.test(l)), lines.join('\n'));
+  assert.equal(lines.filter(l => l.includes('worker="metrics-rig"')).length, 1);
+  for (const m of rigs) m.close();
+});
+
+test('a share is a duplicate only under the same extranonce2 and nonce', async () => {
+  const { m, en2Size, job } = await readyMiner('dup-rig');
+  const en2 = n => n.toString(16).padStart(en2Size * 2, '0');
+  m.send({ id: 10, method: 'mining.submit', params: ['dup-rig', job[0], en2(1), '0', '00000007'] });
+  assert.equal((await m.reply(10)).result, true);
+  m.send({ id: 11, method: 'mining.submit', params: ['dup-rig', job[0], en2(2), '0', '00000007'] });
+  assert.equal((await m.reply(11)).result, true);
+  m.send({ id: 12, method: 'mining.submit', params: ['dup-rig', job[0], en2(2), '0', '00000007'] });
+  assert.deepEqual((await m.reply(12)).error, [22, 'Duplicate share', null]);
+  m.close();
+});
+
+test('a share the pool rejected can be submitted again', async () => {
+  const { m, en2Size, job } = await readyMiner('retry-rig');
+  const params = ['retry-rig', job[0], '03'.padStart(en2Size * 2, '0'), '0', '00000009'];
+  pool.accept = false;
+  try {
+    m.send({ id: 10, method: 'mining.submit', params });
+    assert.equal((await m.reply(10)).result, false);
+  } finally {
+    pool.accept = true;
+  }
+  m.send({ id: 11, method: 'mining.submit', params });
+  assert.equal((await m.reply(11)).result, true);
+  m.close();
+});
+
+test('a share on an unknown job, or one from before a clean job, is stale (21)', async () => {
+  const { m, en2Size, job } = await readyMiner('stale-rig');
+  const en2 = '04'.padStart(en2Size * 2, '0');
+  m.send({ id: 10, method: 'mining.submit', params: ['stale-rig', 'no-such-job', en2, '0', '00000001'] });
+  assert.deepEqual((await m.reply(10)).error, [21, 'Job not found', null]);
+
+  pool.broadcast({ id: null, method: 'mining.notify', params: ['job2', 'cd'.repeat(32), 101, 'p', 'ffff', 1, '0x0', true] });
+  assert.equal((await m.notification('mining.notify')).params[0], 'job2');
+  m.send({ id: 11, method: 'mining.submit', params: ['stale-rig', job[0], en2, '0', '00000002'] });
+  assert.deepEqual((await m.reply(11)).error, [21, 'Job not found', null]);
+  m.send({ id: 12, method: 'mining.submit', params: ['stale-rig', 'job2', en2, '0', '00000002'] });
+  assert.equal((await m.reply(12)).result, true);
+  m.close();
+});
+
+/** Call an admin endpoint on the stats port: { status, body } */
+async function admin(route, body) {
+  const [method, pathname] = route.split(' ');
+  const res = await fetch(`http://127.0.0.1:${statsPort}${pathname}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body   : body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('a refused re-authorize keeps the difficulty an admin pinned', async () => {
+  const { m } = await readyMiner('pinned-rig');
+  const session = () => admin('GET /admin/sessions').then(r => r.body.miners.find(s => s.worker === 'pinned-rig'));
+  const { id } = await session();
+  assert.equal((await admin('POST /admin/difficulty', { miner: id, difficulty: 64 })).status, 200);
+
+  m.send({ id: 10, method: 'mining.authorize', params: ['', 'x'] });
+  assert.deepEqual((await m.reply(10)).error, [24, 'Unauthorized worker', null]);
+  const after = await session();
+  assert.equal(after.difficulty, 64);
+  assert.equal(after.diffSource, 'fixed (admin)');
+
+  const released = await admin('POST /admin/difficulty', { miner: id, difficulty: null });
+  assert.equal(released.body.diffSource, 'vardiff');
+  m.close();
+});
+
+test('a new pool extranonce1 reaches subscribed miners; the rest are asked to reconnect', async () => {
+  const moved = await connectMiner();
+  moved.send({ id: 1, method: 'mining.subscribe', params: ['test-miner'] });
+  const [, en1, en2Size] = (await moved.reply(1)).result;
+  moved.send({ id: 2, method: 'mining.extranonce.subscribe', params: [] });
+  assert.equal((await moved.reply(2)).result, true);
+  const { m: fixed } = await readyMiner('fixed-rig');
+
+  try {
+    pool.broadcast({ id: null, method: 'mining.set_extranonce', params: ['11223344', 8] });
+    assert.deepEqual((await moved.notification('mining.set_extranonce')).params, ['11223344' + en1.slice(-4), en2Size]);
+    await fixed.notification('client.reconnect');
+  } finally {
+    pool.broadcast({ id: null, method: 'mining.set_extranonce', params: [EXTRANONCE1, 8] });
+    pool.broadcast({ id: null, method: 'mining.notify', params: ['job3', 'ef'.repeat(32), 102, 'p', 'ffff', 1, '0x0', true] });
+  }
+  assert.deepEqual((await moved.notification('mining.set_extranonce')).params, [en1, en2Size]);
+  moved.close();
+  fixed.close();
+});
+
+test('the retarget timer lowers a miner that never submits', { timeout: 15000 }, async () => {
+  const { m } = await readyMiner('silent-rig');
+  const session = () => admin('GET /admin/sessions').then(r => r.body.miners.find(s => s.worker === 'silent-rig'));
+  assert.equal((await session()).difficulty, 8);
+  const deadline = Date.now() + 8000;
+  let diff = 8;
+  while (diff === 8 && Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, 250));
+    diff = (await session()).difficulty;
+  }
+  assert.ok(diff < 8 && diff >= 2, `difficulty ${diff}`);
+  m.close();
+});
+
+/** Read an SSE response until `done(text)` holds, then hang up: the text so far */
+async function readEvents(res, done) {
+  const reader  = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  const deadline = setTimeout(() => reader.cancel(), 3000);
+  try {
+    while (!done(text)) {
+      const { value, done: ended } = await reader.read();
+      if (ended) break;
+      text += decoder.decode(value, { stream: true });
+    }
+  } finally {
+    clearTimeout(deadline);
+    await reader.cancel();
+  }
+  return text;
+}
+
+test('GET /events streams what happens, and replays what a reconnecting client missed', async () => {
+  const res = await fetch(`http://127.0.0.1:${statsPort}/events?types=connect`);
+  assert.equal(res.headers.get('content-type'), 'text/event-stream');
+  const m = await connectMiner();
+  const text = await readEvents(res, t => t.includes('event: connect'));
+  m.close();
+  const [, id, data] = /id: (\d+)\nevent: connect\ndata: (.*)\n/.exec(text);
+  assert.equal(JSON.parse(data).protocol, 'v1');
+
+  const again = await fetch(`http://127.0.0.1:${statsPort}/events?types=disconnect`, { headers: { 'Last-Event-ID': id } });
+  const missed = await readEvents(again, t => t.includes('event: disconnect'));
+  assert.match(missed, /event: disconnect\n/);
+  assert.doesNotMatch(missed, /event: connect\n/);
+
+  const recent = await (await fetch(`http://127.0.0.1:${statsPort}/events/recent?since=${id - 1}&types=connect`)).json();
+  assert.equal(recent.events[0].id, Number(id));
+});
+
+test('/proxy-stats answers any origin; the newer endpoints only a configured one', async () => {
+  for (const p of ['/', '/proxy-stats']) {
+    const res = await fetch(`http://127.0.0.1:${statsPort}${p}`);
+    assert.equal(res.headers.get('access-control-allow-origin'), '*', p);
+  }
+  for (const p of ['/history', '/blocks', '/events/recent', '/admin/sessions']) {
+    const res = await fetch(`http://127.0.0.1:${statsPort}${p}`);
+    assert.equal(res.headers.get('access-control-allow-origin'), null, p);
+  }
+});
+
+test('GET /history answers with a series, and a bad range with 400', async () => {
+  const res = await fetch(`http://127.0.0.1:${statsPort}/history?range=6h&worker=dup-rig`);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.worker, 'dup-rig');
+  assert.equal(body.resolution, '1m');
+  assert.ok(Array.isArray(body.points) && Array.isArray(body.workers));
+  assert.equal((await fetch(`http://127.0.0.1:${statsPort}/history?range=6w`)).status, 400);
+});
+
+/** GET with headers fetch won't send (Host): the status code */
+function rawGet(toPort, pathname, headers) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: toPort, path: pathname, headers }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+}
+
+test('without a token the admin API takes only loopback callers naming a loopback host, with JSON bodies', async () => {
+  assert.equal(await rawGet(statsPort, '/admin/sessions', { Host: `localhost:${statsPort}` }), 200);
+  assert.equal(await rawGet(statsPort, '/admin/sessions', { Host: 'proxy.example.com' }), 403);
+  const form = await fetch(`http://127.0.0.1:${statsPort}/admin/ban`, {
+    method : 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body   : 'ip=10.0.0.9',
+  });
+  assert.equal(form.status, 415);
+  assert.deepEqual((await admin('GET /admin/sessions')).body.bans, []);
+});
+
+test('with admin.token set every admin call needs it as a bearer token', async () => {
+  const adminPort = await freePort();
+  const adminStats = await freePort();
+  const daemon = spawnProxy('admin', {
+    mode : 'pool',
+    pools: [{ name: 'fake', host: '127.0.0.1', port: pool.port, user: 'test' }],
+    local: { host: '127.0.0.1', port: adminPort, statsPort: adminStats },
+    admin: { token: 's3cret' },
+    store: { dir: path.join(dir, 'admin-data') },
+  });
+  try {
+    await waitForListener(daemon, adminPort);
+    assert.equal(await rawGet(adminStats, '/admin/sessions', {}), 403);
+    assert.equal(await rawGet(adminStats, '/admin/sessions', { Authorization: 'Bearer wrong' }), 403);
+    assert.equal(await rawGet(adminStats, '/admin/sessions', { Authorization: 'Bearer s3cret', Host: 'proxy.lan' }), 200);
+  } finally {
+    daemon.kill();
+  }
+});
@@ -0,0 +1,11 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The same known-answer tests proxy.js runs before it starts
+for (const mod of ['blake2b', 'eaglesong', 'ckb-header', 'ckb-address']) {
+  test(`${mod} self-test`, () => {
+    assert.doesNotThrow(() => require(`../${mod}.js`).selftest());
+  });
+}
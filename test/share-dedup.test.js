@@ -0,0 +1,40 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createShareDedup } = require('../share-dedup.js');
+
+test('a share is seen once per job, in any case', () => {
+  const dedup = createShareDedup();
+  assert.equal(dedup.seen('J1', 'aa:01:07'), false);
+  assert.equal(dedup.seen('j1', 'AA:01:07'), true);
+  assert.equal(dedup.seen('j2', 'aa:01:07'), false);
+});
+
+test('forget() lets a share that was not accepted be submitted again', () => {
+  const dedup = createShareDedup();
+  dedup.seen('j1', 'k');
+  dedup.forget('j1', 'k');
+  assert.equal(dedup.seen('j1', 'k'), false);
+});
+
+test('clear() keeps only the given job, reset() drops them all', () => {
+  const dedup = createShareDedup();
+  dedup.seen('j1', 'a');
+  dedup.seen('j2', 'b');
+  dedup.clear('j2');
+  assert.equal(dedup.seen('j1', 'a'), false);
+  assert.equal(dedup.seen('j2', 'b'), true);
+  dedup.reset();
+  assert.equal(dedup.size(), 0);
+});
+
+test('old jobs and old shares fall out past the caps', () => {
+  const dedup = createShareDedup({ maxJobs: 2, maxPerJob: 2 });
+  dedup.seen('j1', 'a');
+  dedup.seen('j2', 'a');
+  dedup.seen('j3', 'a');
+  assert.equal(dedup.seen('j1', 'a'), false);
+  for (const k of ['x', 'y', 'z']) dedup.seen('j4', k);
+  assert.equal(dedup.seen('j4', 'x'), false);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('node:fs');
+const os   = require('node:os');
+const path = require('node:path');
+const { createShareStore } = require('../share-store.js');
+
+let dir;
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ckb-store-test-')); });
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function fill(store) {
+  store.recordShare({ worker: 'a', result: 'accepted', diff: 1 });
+  store.recordShare({ worker: 'a', result: 'local', diff: 1 });
+  store.recordShare({ worker: 'b', result: 'rejected', code: 22 });
+  store.recordShare({ worker: 'b', result: 'rejected', code: 21 });
+  store.recordBlock({ worker: 'a', accepted: true });
+  store.recordBlock({ worker: 'b', accepted: false });
+}
+
+const EXPECTED = {
+  sharesSubmitted: 4, sharesAccepted: 1, sharesRejected: 2, sharesDuplicate: 1, sharesStale: 1, blocksFound: 1,
+};
+
+function totalsOf(lifetime) {
+  const { since, ...rest } = lifetime.totals;
+  assert.ok(since > 0);
+  return rest;
+}
+
+test('lifetime totals are reloaded after a restart', () => {
+  const store = createShareStore({ dir });
+  store.open();
+  fill(store);
+  assert.deepEqual(totalsOf(store.lifetime()), EXPECTED);
+  store.close();
+
+  const again = createShareStore({ dir });
+  const lifetime = again.open();
+  again.close();
+  assert.deepEqual(totalsOf(lifetime), EXPECTED);
+  assert.equal(lifetime.workers.a.sharesAccepted, 2);
+  assert.equal(lifetime.workers.a.blocksFound, 1);
+  assert.equal(lifetime.workers.b.sharesRejected, 2);
+});
+
+test('totals survive segment rotation through the checkpoint', () => {
+  const store = createShareStore({ dir, maxSegmentMB: 0.0001 });   // every record seals a segment
+  store.open();
+  fill(store);
+  store.close();
+  assert.ok(fs.existsSync(path.join(dir, 'checkpoint.json')));
+  assert.ok(fs.readdirSync(dir).filter(f => f.startsWith('segment-')).length > 1);
+
+  const again = createShareStore({ dir, maxSegmentMB: 0.0001 });
+  const lifetime = again.open();
+  again.close();
+  assert.deepEqual(totalsOf(lifetime), EXPECTED);
+});
+
+test('a torn last line from a crash is skipped', () => {
+  const store = createShareStore({ dir });
+  store.open();
+  fill(store);
+  store.close();
+  const segment = fs.readdirSync(dir).find(f => f.startsWith('segment-'));
+  fs.appendFileSync(path.join(dir, segment), '{"t":1,"type":"sha');
+
+  const again = createShareStore({ dir });
+  const lifetime = again.open();
+  again.close();
+  assert.deepEqual(totalsOf(lifetime), EXPECTED);
+});
+
+test('a disabled store keeps nothing on disk', () => {
+  const sub   = path.join(dir, 'off');
+  const store = createShareStore({ dir: sub, enabled: false });
+  store.open();
+  fill(store);
+  store.close();
+  assert.equal(fs.existsSync(sub), false);
+});
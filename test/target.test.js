@@ -0,0 +1,22 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { hexLEToBigInt, bigIntToHexLE, targetToDiff, diffToTargetLE, DIFF1_TARGET } = require('../target.js');
+
+test('hexLEToBigInt reads 64 hex chars little-endian and returns null for anything else', () => {
+  assert.equal(hexLEToBigInt('01' + '00'.repeat(31)), 1n);
+  assert.equal(hexLEToBigInt(bigIntToHexLE(DIFF1_TARGET).toUpperCase()), DIFF1_TARGET);
+  for (const bad of ['zz'.repeat(32), '00'.repeat(31), '00'.repeat(33), '0x' + '00'.repeat(31), 5, null, {}]) {
+    assert.equal(hexLEToBigInt(bad), null, String(bad));
+  }
+});
+
+test('targetToDiff round-trips diffToTargetLE and returns null for zero or malformed targets', () => {
+  assert.equal(targetToDiff(diffToTargetLE(1)), 1);
+  assert.equal(targetToDiff(diffToTargetLE(512)), 512);
+  assert.equal(targetToDiff('0x' + diffToTargetLE(4)), 4);
+  assert.equal(targetToDiff('00'.repeat(32)), null);
+  assert.equal(targetToDiff('g'.repeat(64)), null);
+  assert.equal(targetToDiff(diffToTargetLE(1), 'not a target'), null);
+});
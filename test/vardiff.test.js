@@ -0,0 +1,64 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALGORITHMS, vardiffSettings, newVardiffState, recordVardiffShare, checkVardiff } = require('../vardiff.js');
+
+const T0  = 1_800_000_000_000;
+const SEC = 1000;
+
+/** A vardiff state at difficulty 1 with shares at the given seconds after T0 */
+function withShares(settings, secs) {
+  const state = newVardiffState(settings, T0);
+  for (const s of secs) recordVardiffShare(state, settings, T0 + s * SEC);
+  return state;
+}
+
+const every = (step, n) => Array.from({ length: n }, (_, i) => (i + 1) * step);
+
+test('window: shares over the retarget window set the difficulty', () => {
+  const settings = vardiffSettings({ algorithm: 'window', targetShareSec: 10, retargetSec: 60 });
+  assert.equal(checkVardiff(withShares(settings, every(5, 12)), settings, T0 + 60 * SEC), 2);
+  assert.equal(checkVardiff(withShares(settings, every(10, 6)), settings, T0 + 60 * SEC), null);
+  assert.equal(checkVardiff(withShares(settings, every(20, 3)), settings, T0 + 60 * SEC), 0.5);
+});
+
+test('ema: follows the average share interval', () => {
+  const settings = vardiffSettings({ algorithm: 'ema', targetShareSec: 10, retargetSec: 60 });
+  assert.equal(checkVardiff(withShares(settings, every(5, 12)), settings, T0 + 60 * SEC), 2);
+  assert.equal(checkVardiff(withShares(settings, every(10, 6)), settings, T0 + 60 * SEC), null);
+});
+
+test('median: one long gap does not move the estimate, too few intervals do not either', () => {
+  const settings = vardiffSettings({ algorithm: 'median', targetShareSec: 10, retargetSec: 60, minShares: 4 });
+  assert.equal(checkVardiff(withShares(settings, [5, 10, 15, 20, 58]), settings, T0 + 60 * SEC), 2);
+  assert.equal(checkVardiff(withShares(settings, [54, 56, 58]), settings, T0 + 60 * SEC), null);
+});
+
+test('every algorithm lowers a miner that has gone silent, by at most maxStep', () => {
+  for (const algorithm of Object.keys(ALGORITHMS)) {
+    const settings = vardiffSettings({ algorithm, targetShareSec: 10, retargetSec: 60 });
+    const state    = withShares(settings, []);
+    assert.equal(checkVardiff(state, settings, T0 + 120 * SEC), 0.25, algorithm);
+    assert.equal(checkVardiff(state, settings, T0 + 180 * SEC), 0.25 / 4, algorithm);
+  }
+});
+
+test('a retarget waits for retargetSec, and a change starts a fresh share history', () => {
+  const settings = vardiffSettings({ targetShareSec: 10, retargetSec: 60 });
+  const state    = withShares(settings, every(1, 50));
+  assert.equal(checkVardiff(state, settings, T0 + 59 * SEC), null);
+  assert.equal(checkVardiff(state, settings, T0 + 60 * SEC), 4);
+  assert.deepEqual(state.shareTimes, []);
+  assert.equal(state.since, T0 + 60 * SEC);
+});
+
+test('the difficulty stays within minDiff and maxDiff', () => {
+  const settings = vardiffSettings({ targetShareSec: 10, retargetSec: 60, minDiff: 0.5, maxDiff: 2 });
+  assert.equal(checkVardiff(withShares(settings, every(1, 50)), settings, T0 + 60 * SEC), 2);
+  assert.equal(checkVardiff(withShares(settings, []), settings, T0 + 60 * SEC), 0.5);
+});
+
+test('an unknown algorithm is a config error', () => {
+  assert.throws(() => vardiffSettings({ algorithm: 'fastest' }), /vardiff.algorithm must be one of window, ema, median/);
+});
@@ -0,0 +1,126 @@
+/**
+ * tls-cert.js — certificate for the TLS listener, and fingerprint helpers
+ *
+ * Uses the configured cert/key files when given. Otherwise a self-signed
+ * certificate is generated once (EC P-256, ecdsa-with-SHA256, 10 years) and
+ * kept in the data directory, so its fingerprint stays the same across
+ * restarts and remote rigs / downstream proxies can pin it.
+ *
+ * Node can parse X.509 but not create it, so the certificate is assembled
+ * here with a minimal DER encoder and signed with node:crypto:
+ *   Certificate = SEQUENCE { tbsCertificate, signatureAlgorithm, signature BIT STRING }
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+const VALID_YEARS = 10;
+const COMMON_NAME = 'ckb-stratum-proxy';
+
+// ── DER ───────────────────────────────────────────────────────────────────────
+function der(tag, content) {
+  const len = content.length;
+  let lenBytes;
+  if (len < 0x80) lenBytes = Buffer.from([len]);
+  else if (len < 0x100) lenBytes = Buffer.from([0x81, len]);
+  else lenBytes = Buffer.from([0x82, len >> 8, len & 0xff]);
+  return Buffer.concat([Buffer.from([tag]), lenBytes, content]);
+}
+
+const seq = (...items) => der(0x30, Buffer.concat(items));
+const set = (...items) => der(0x31, Buffer.concat(items));
+
+function oid(dotted) {
+  const [a, b, ...rest] = dotted.split('.').map(Number);
+  const bytes = [40 * a + b];
+  for (const n of rest) {
+    const chunk = [n & 0x7f];
+    for (let v = n >>> 7; v; v >>>= 7) chunk.unshift((v & 0x7f) | 0x80);
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+/** Positive INTEGER from raw big-endian bytes */
+function integer(bytes) {
+  const b = bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes;
+  return der(0x02, b);
+}
+
+/** UTCTime (YYMMDDHHMMSSZ) — fine until 2050 */
+function utcTime(date) {
+  return der(0x17, Buffer.from(date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z'));
+}
+
+const ECDSA_SHA256 = seq(oid('1.2.840.10045.4.3.2'));
+
+function name(cn) {
+  return seq(set(seq(oid('2.5.4.3'), der(0x0c, Buffer.from(cn, 'utf8')))));
+}
+
+/** selfSigned() → { key, cert } as PEM strings */
+function selfSigned(cn = COMMON_NAME) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const notBefore = new Date(Date.now() - 60 * 1000);
+  const notAfter  = new Date(notBefore.getTime() + VALID_YEARS * 365 * 86400 * 1000);
+
+  const tbs = seq(
+    der(0xa0, integer(Buffer.from([2]))),       // [0] version v3
+    integer(crypto.randomBytes(16)),            // serialNumber
+    ECDSA_SHA256,
+    name(cn),                                   // issuer = subject
+    seq(utcTime(notBefore), utcTime(notAfter)),
+    name(cn),
+    publicKey.export({ type: 'spki', format: 'der' }),
+  );
+  const signature = crypto.sign('sha256', tbs, privateKey);   // DER Ecdsa-Sig-Value
+  const cert = seq(tbs, ECDSA_SHA256, der(0x03, Buffer.concat([Buffer.from([0]), signature])));
+
+  const b64 = cert.toString('base64').match(/.{1,64}/g).join('\n');
+  return {
+    key : privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    cert: `-----BEGIN CERTIFICATE-----\n${b64}\n-----END CERTIFICATE-----\n`,
+  };
+}
+
+// ── Fingerprints ──────────────────────────────────────────────────────────────
+/** 'AB:CD:…' / 'abcd…' / 'sha256/abcd…' → 64 lowercase hex chars */
+function normalizeFingerprint(fp) {
+  return String(fp || '').replace(/^sha256[:/]/i, '').replace(/[^0-9a-f]/gi, '').toLowerCase();
+}
+
+/** SHA-256 fingerprint of a PEM certificate, as 64 lowercase hex chars */
+function fingerprintOf(certPem) {
+  return normalizeFingerprint(new crypto.X509Certificate(certPem).fingerprint256);
+}
+
+/**
+ * loadOrCreateCert({ certFile, keyFile, dir }) → { key, cert, fingerprint, source }
+ * Configured files win; otherwise <dir>/tls-cert.pem + tls-key.pem, created on first use.
+ */
+function loadOrCreateCert({ certFile, keyFile, dir }) {
+  if (certFile || keyFile) {
+    if (!certFile || !keyFile) throw new Error('both a TLS cert and key file are needed');
+    const cert = fs.readFileSync(certFile, 'utf8');
+    return { key: fs.readFileSync(keyFile, 'utf8'), cert, fingerprint: fingerprintOf(cert), source: certFile };
+  }
+
+  const certPath = path.join(dir, 'tls-cert.pem');
+  const keyPath  = path.join(dir, 'tls-key.pem');
+  try {
+    const cert = fs.readFileSync(certPath, 'utf8');
+    return { key: fs.readFileSync(keyPath, 'utf8'), cert, fingerprint: fingerprintOf(cert), source: certPath };
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+
+  const { key, cert } = selfSigned();
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(keyPath, key, { mode: 0o600 });
+  fs.writeFileSync(certPath, cert);
+  return { key, cert, fingerprint: fingerprintOf(cert), source: `${certPath} (generated)` };
+}
+
+module.exports = { loadOrCreateCert, selfSigned, fingerprintOf, normalizeFingerprint };
@@ -0,0 +1,25 @@
+/**
+ * util.js — logging and formatting shared by the daemon and its backends
+ */
+'use strict';
+
+function log(tag, ...args) {
+  const ts = new Date().toISOString().slice(11, 23);
+  console.log(`[${ts}] [${tag.padEnd(5)}]`, ...args);
+}
+
+function fmtUptime(sec) {
+  const h = Math.floor(sec / 3600), m = Math.floor(sec % 3600 / 60), s = sec % 60;
+  return `${h}h ${m}m ${s}s`;
+}
+
+function fmtHps(hps) {
+  if (!hps || hps === 0) return '0 H/s';
+  if (hps >= 1e12) return (hps/1e12).toFixed(2) + ' TH/s';
+  if (hps >= 1e9)  return (hps/1e9).toFixed(2) + ' GH/s';
+  if (hps >= 1e6)  return (hps/1e6).toFixed(2) + ' MH/s';
+  if (hps >= 1e3)  return (hps/1e3).toFixed(2) + ' KH/s';
+  return hps.toFixed(0) + ' H/s';
+}
+
+module.exports = { log, fmtUptime, fmtHps };
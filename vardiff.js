@@ -0,0 +1,224 @@
+/**
+ * vardiff.js — per-miner variable difficulty
+ *
+ * Estimates how often a miner finds shares and scales its difficulty so it
+ * lands near one share every `targetShareSec`. The caller owns sending the new
+ * target to the miner, and calls checkVardiff() both on shares and from a
+ * timer, so a miner whose difficulty is too high for it to ever submit is
+ * still brought down.
+ *
+ * `algorithm` picks the share-interval estimate:
+ *   window  shares counted over the retarget window (the original method)
+ *   ema     exponential moving average of share intervals over ~`emaShares` shares
+ *   median  median of the last `historySize` intervals, as in ckpool's buffer
+ * ema and median also treat the time since the last share as a sample once
+ * it is longer than their estimate, which is what lowers a silent miner.
+ * Each step is limited to ×/÷ `maxStep`.
+ *
+ * Per-worker overrides: a "+<diff>" suffix on the username fixes that miner's
+ * difficulty, and `vardiff.workers` maps worker-name patterns (`*` / `?`
+ * wildcards) to a fixed difficulty or to a vardiff profile layered over the
+ * global settings.
+ */
+'use strict';
+
+function vardiffSettings(cfg = {}) {
+  const settings = {
+    algorithm      : cfg.algorithm        || 'window',
+    targetShareSec : cfg.targetShareSec  || 30,   // aim for 1 share every N seconds
+    retargetSec    : cfg.retargetSec      || 60,   // check interval
+    variancePercent: cfg.variancePercent  || 30,   // ±30% tolerance
+    maxStep        : cfg.maxStep          || 4,    // largest change per retarget (×4 / ÷4)
+    historySize    : cfg.historySize      || 32,   // share times kept per miner
+    emaShares      : cfg.emaShares        || 8,    // ema smoothing, in shares
+    minShares      : cfg.minShares        || 4,    // median needs this many intervals
+    minDiff        : cfg.minDiff          || 0.001,
+    maxDiff        : cfg.maxDiff          || 1e9,
+    // Initial difficulty sent to miners.
+    // null = use the job source's default (pool diff in pool mode, 1.0 in solo).
+    initialDiff    : cfg.initialDiff      ?? null,
+  };
+  if (!ALGORITHMS[settings.algorithm]) {
+    throw new Error(`vardiff.algorithm must be one of ${Object.keys(ALGORITHMS).join(', ')}, not "${settings.algorithm}"`);
+  }
+  return settings;
+}
+
+function newVardiffState(settings, now = Date.now()) {
+  return {
+    currentDiff   : settings.initialDiff ?? 1.0,
+    windowStart   : now,
+    sharesInWindow: 0,
+    lastRetarget  : now,
+    since         : now,    // start of the current difficulty's history
+    shareTimes    : [],     // recent share timestamps at this difficulty, oldest first
+    emaSec        : null,
+  };
+}
+
+/** Note a submitted share */
+function recordVardiffShare(state, settings, now = Date.now()) {
+  state.sharesInWindow++;
+  const prev = state.shareTimes.length ? state.shareTimes[state.shareTimes.length - 1] : state.since;
+  const sec  = (now - prev) / 1000;
+  const alpha = 2 / (settings.emaShares + 1);
+  state.emaSec = state.emaSec == null ? sec : state.emaSec + alpha * (sec - state.emaSec);
+  state.shareTimes.push(now);
+  if (state.shareTimes.length > settings.historySize) state.shareTimes.shift();
+}
+
+/** Seconds between the recorded shares, oldest first (the first is measured from `since`) */
+function shareIntervals(state) {
+  let prev = state.since;
+  return state.shareTimes.map(t => {
+    const sec = (t - prev) / 1000;
+    prev = t;
+    return sec;
+  });
+}
+
+/** Seconds since the last share (or since the difficulty was set) */
+function silentSec(state, now) {
+  const last = state.shareTimes.length ? state.shareTimes[state.shareTimes.length - 1] : state.since;
+  return (now - last) / 1000;
+}
+
+/** algorithm(state, settings, now) → estimated seconds per share, or null if there isn't enough to go on */
+const ALGORITHMS = {
+  window(state, settings, now) {
+    const windowMs = now - state.windowStart;
+    if (windowMs < 1000) return null;
+    // An empty window says only "slower than this"; the silence may go back further
+    if (!state.sharesInWindow) return Math.max(windowMs / 1000, silentSec(state, now));
+    return windowMs / 1000 / state.sharesInWindow;
+  },
+
+  ema(state, settings, now) {
+    const silent = silentSec(state, now);
+    if (state.emaSec == null) return silent > settings.targetShareSec ? silent : null;
+    return Math.max(state.emaSec, silent);
+  },
+
+  median(state, settings, now) {
+    const silent    = silentSec(state, now);
+    const intervals = shareIntervals(state);
+    if (intervals.length < settings.minShares) return silent > settings.targetShareSec ? silent : null;
+    const sorted = intervals.slice().sort((a, b) => a - b);
+    const mid    = sorted.length >> 1;
+    const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    return Math.max(median, silent);
+  },
+};
+
+function computeNewDiff(state, settings, now = Date.now()) {
+  const actualShareSec = ALGORITHMS[settings.algorithm](state, settings, now);
+  if (actualShareSec == null) return state.currentDiff;
+
+  const target = settings.targetShareSec;
+  const variance = settings.variancePercent / 100;
+
+  // Within tolerance — don't change
+  if (Math.abs(actualShareSec - target) / target <= variance) {
+    return state.currentDiff;
+  }
+
+  // Scale: newDiff = currentDiff * (targetShareSec / actualShareSec)
+  // More shares than expected → actualShareSec < target → diff should go up (× >1 when ratio <1)
+  // Fewer shares than expected → actualShareSec > target → diff should go down (× <1 when ratio >1)
+  let ratio = target / Math.max(actualShareSec, 0.001);  // >1 means miner is fast → increase diff
+  // Clamp adjustment to maxStep× per interval
+  ratio = Math.min(Math.max(ratio, 1 / settings.maxStep), settings.maxStep);
+
+  let newDiff = state.currentDiff * ratio;
+  newDiff = Math.min(Math.max(newDiff, settings.minDiff), settings.maxDiff);
+
+  return newDiff;
+}
+
+/**
+ * checkVardiff(state, settings) → new difficulty, or null if unchanged / not due.
+ * Starts a new window whenever a retarget is due; a change also starts a new
+ * share history, since intervals at the old difficulty no longer apply.
+ */
+function checkVardiff(state, settings, now = Date.now()) {
+  if (now - state.lastRetarget < settings.retargetSec * 1000) return null;
+
+  const newDiff = computeNewDiff(state, settings, now);
+  state.windowStart    = now;
+  state.sharesInWindow = 0;
+  state.lastRetarget   = now;
+
+  if (newDiff === state.currentDiff) return null;
+  setVardiff(state, newDiff, now);
+  return newDiff;
+}
+
+/** Set a difficulty from outside vardiff (initial, suggested) and start its history afresh */
+function setVardiff(state, diff, now = Date.now()) {
+  state.currentDiff = diff;
+  state.since       = now;
+  state.shareTimes  = [];
+  state.emaSec      = null;
+}
+
+/** Per-miner vardiff numbers for the stats page */
+function vardiffStats(state, settings, now = Date.now()) {
+  const intervals = shareIntervals(state);
+  return {
+    algorithm     : settings.algorithm,
+    estimateSec   : ALGORITHMS[settings.algorithm](state, settings, now),
+    emaSec        : state.emaSec,
+    lastShareSec  : state.shareTimes.length ? silentSec(state, now) : null,
+    nextRetargetIn: Math.max(0, Math.ceil((state.lastRetarget + settings.retargetSec * 1000 - now) / 1000)),
+    shareIntervals: intervals.map(s => +s.toFixed(2)),
+  };
+}
+
+function clampDiff(diff, settings) {
+  return Math.min(Math.max(diff, settings.minDiff), settings.maxDiff);
+}
+
+// ── Per-worker overrides ──────────────────────────────────────────────────────
+/** 'rig1+0.5' → { name: 'rig1', diff: 0.5 }; without a numeric "+diff" suffix the name is unchanged */
+function splitDiffSuffix(worker) {
+  const m = /^(.+)\+(\d+(?:\.\d+)?(?:e-?\d+)?)$/i.exec(worker || '');
+  if (!m || !(Number(m[2]) > 0)) return { name: worker, diff: null };
+  return { name: m[1], diff: Number(m[2]) };
+}
+
+function globRegExp(pattern) {
+  const re = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${re}$`, 'i');
+}
+
+/**
+ * workerOverrides(config.vardiff) → [{ pattern, re, fixedDiff, settings }], in config order.
+ * Throws on an entry that is neither a positive difficulty nor a profile object.
+ */
+function workerOverrides(cfg = {}) {
+  return Object.entries(cfg.workers || {}).map(([pattern, v]) => {
+    const re = globRegExp(pattern);
+    if (typeof v === 'number' && v > 0) return { pattern, re, fixedDiff: v, settings: vardiffSettings(cfg) };
+    if (v && typeof v === 'object' && !Array.isArray(v)) return { pattern, re, fixedDiff: null, settings: vardiffSettings({ ...cfg, ...v }) };
+    throw new Error(`vardiff.workers["${pattern}"] must be a difficulty or a vardiff profile object`);
+  });
+}
+
+/**
+ * difficultyPolicy(worker, settings, overrides) → { name, settings, fixedDiff, source }
+ * A "+diff" username suffix wins (clamped to the profile's min / max), then the
+ * first matching vardiff.workers entry, then plain vardiff with `settings`.
+ */
+function difficultyPolicy(worker, settings, overrides) {
+  const { name, diff } = splitDiffSuffix(worker);
+  const match   = overrides.find(o => o.re.test(name || ''));
+  const profile = match?.settings || settings;
+  if (diff != null) return { name, settings: profile, fixedDiff: clampDiff(diff, profile), source: 'username' };
+  if (match) return { name, settings: profile, fixedDiff: match.fixedDiff, source: `workers["${match.pattern}"]` };
+  return { name, settings, fixedDiff: null, source: 'vardiff' };
+}
+
+module.exports = {
+  ALGORITHMS, vardiffSettings, newVardiffState, recordVardiffShare, computeNewDiff, checkVardiff, setVardiff, vardiffStats,
+  clampDiff, splitDiffSuffix, workerOverrides, difficultyPolicy,
+};